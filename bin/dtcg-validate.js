@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * Command-line entry point, see src/lib/cli.js
+ */
+
+import { runCli } from '../src/lib/cli.js';
+
+process.exitCode = runCli(process.argv.slice(2), {
+  cwd: process.cwd(),
+  stdout: process.stdout,
+  stderr: process.stderr
+});
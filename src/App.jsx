@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
-import { validateTokens, analyzeErrors } from './lib/dtcgValidator'
+import { validateTokens, analyzeErrors, SPEC_VERSIONS, DEFAULT_SPEC_VERSION } from './lib/dtcgValidator'
+import { fixTokens } from './lib/fix'
 import './App.css'
 
 function App() {
@@ -7,17 +8,19 @@ function App() {
   const [tokenInput, setTokenInput] = useState('')
   const [validationResult, setValidationResult] = useState(null)
   const [showDetailedAnalysis, setShowDetailedAnalysis] = useState(true)
+  const [specVersion, setSpecVersion] = useState(DEFAULT_SPEC_VERSION)
+  const [strictMode, setStrictMode] = useState(false)
 
   // Real-time validation
   useEffect(() => {
     if (tokenInput.trim()) {
-      const result = validateTokens(tokenInput)
+      const result = validateTokens(tokenInput, { spec: specVersion, strict: strictMode })
       const analyzed = analyzeErrors(result)
       setValidationResult(analyzed)
     } else {
       setValidationResult(null)
     }
-  }, [tokenInput])
+  }, [tokenInput, specVersion, strictMode])
 
   const sampleTokens = `{
   "color": {
@@ -106,6 +109,15 @@ function App() {
     }
   }
 
+  // fixTokens leaves documents with duplicate keys alone, since rewriting them would drop a definition
+  const hasDuplicateKeys = validationResult?.diagnostics.some(diagnostic => diagnostic.code === 'json/duplicate-key') ?? false
+  const fixableCount = hasDuplicateKeys ? 0 : validationResult?.diagnostics.filter(diagnostic => diagnostic.fix).length ?? 0
+
+  const applyFixes = () => {
+    const { output } = fixTokens(tokenInput, { spec: specVersion, strict: strictMode })
+    setTokenInput(output)
+  }
+
   return (
     <div className={`min-h-screen transition-colors duration-300 ${
       darkMode
@@ -137,8 +149,41 @@ function App() {
               </p>
             </div>
 
-            {/* GitHub & Dark Mode Toggle */}
+            {/* Spec Version, GitHub & Dark Mode Toggle */}
             <div className="flex items-center gap-3">
+              <label className={`flex items-center gap-2 text-sm font-semibold ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>
+                Spec
+                <select
+                  value={specVersion}
+                  onChange={(e) => setSpecVersion(e.target.value)}
+                  className={`px-3 py-3 rounded-xl font-semibold transition-all duration-300 ${
+                    darkMode
+                      ? 'text-slate-200 bg-slate-800 hover:bg-slate-700 border border-slate-700'
+                      : 'text-slate-900 bg-white hover:bg-slate-100 border border-slate-200'
+                  }`}
+                  aria-label="Spec version"
+                  title="Spec version the tokens are validated against"
+                >
+                  {Object.entries(SPEC_VERSIONS).map(([version, profile]) => (
+                    <option key={version} value={version}>{profile.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label
+                className={`flex items-center gap-2 px-3 py-3 rounded-xl text-sm font-semibold cursor-pointer transition-all duration-300 ${
+                  darkMode
+                    ? 'text-slate-200 bg-slate-800 hover:bg-slate-700 border border-slate-700'
+                    : 'text-slate-900 bg-white hover:bg-slate-100 border border-slate-200'
+                }`}
+                title="Reject string and number shorthands of colors and dimensions"
+              >
+                <input
+                  type="checkbox"
+                  checked={strictMode}
+                  onChange={(e) => setStrictMode(e.target.checked)}
+                />
+                Strict
+              </label>
               <a
                 href="https://github.com/dembrandt/dtcg-validator"
                 target="_blank"
@@ -224,6 +269,18 @@ function App() {
             >
               Format JSON
             </button>
+            <button
+              onClick={applyFixes}
+              disabled={fixableCount === 0}
+              className={`px-5 py-2.5 rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                darkMode
+                  ? 'bg-emerald-900/50 hover:bg-emerald-800/50 text-emerald-300 border border-emerald-700/50'
+                  : 'bg-emerald-50 hover:bg-emerald-100 text-emerald-700 border border-emerald-200'
+              }`}
+              title="Apply the automatic fixes of the reported problems"
+            >
+              Apply fixes{fixableCount > 0 && ` (${fixableCount})`}
+            </button>
           </div>
 
           {/* Live Status */}
@@ -336,6 +393,7 @@ function App() {
                             : darkMode ? 'text-red-400' : 'text-red-700'
                         }`}>
                           {validationResult.tokenCount} token{validationResult.tokenCount !== 1 ? 's' : ''} found
+                          {validationResult.suppressed.length > 0 && `, ${validationResult.suppressed.length} suppressed`}
                         </p>
                       </div>
                     </div>
@@ -421,6 +479,7 @@ function App() {
                                               darkMode ? 'text-red-400/60' : 'text-red-600/60'
                                             }`}>
                                               📍 {error.path}
+                                              {error.range && ` (line ${error.range.start.line}, column ${error.range.start.column})`}
                                             </p>
                                           )}
                                         </div>
@@ -447,6 +506,23 @@ function App() {
                                           {error.suggestion}
                                         </div>
                                       )}
+
+                                      {/* Rule and spec reference */}
+                                      <div className={`mt-3 flex items-center gap-3 text-xs font-mono ${
+                                        darkMode ? 'text-slate-500' : 'text-slate-400'
+                                      }`}>
+                                        <span>{error.code}</span>
+                                        {error.spec && (
+                                          <a
+                                            href={error.spec}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className={darkMode ? 'text-cyan-400 hover:text-cyan-300' : 'text-cyan-600 hover:text-cyan-700'}
+                                          >
+                                            Spec section
+                                          </a>
+                                        )}
+                                      </div>
                                     </div>
                                   ))}
                                 </div>
@@ -679,7 +755,7 @@ function App() {
               <p className={`text-sm leading-relaxed mb-4 ${
                 darkMode ? 'text-slate-400' : 'text-slate-600'
               }`}>
-                Token references and aliasing ($ref syntax). <span className={darkMode ? 'text-slate-500' : 'text-slate-500'}>Not yet implemented in this validator.</span>
+                Resolver documents with sets, modifiers and resolution order, merging token files into one resolved token set for each combination of modifier inputs.
               </p>
               <a
                 href="https://www.w3.org/community/reports/design-tokens/CG-FINAL-resolver-20251028/"
@@ -724,28 +800,17 @@ function App() {
                   <li>• Component range validation</li>
                   <li>• "none" keyword support</li>
                   <li>• Token naming validation</li>
-                  <li>• Token references (curly brace syntax)</li>
+                  <li>• Token references (curly brace and JSON Pointer $ref syntax)</li>
                   <li>• Alias resolution with circular detection</li>
                   <li>• Chained reference resolution</li>
                   <li>• Type inheritance through references</li>
+                  <li>• Group inheritance with $extends</li>
+                  <li>• Property-level references in composite values</li>
+                  <li>• Resolver sets, modifiers and resolution order</li>
                   <li>• Real-time error reporting</li>
                   <li>• 106+ unit tests passing</li>
                 </ul>
               </div>
-              <div>
-                <h4 className={`text-sm font-semibold mb-2 ${
-                  darkMode ? 'text-amber-400' : 'text-amber-600'
-                }`}>
-                  ⚠ Not Yet Implemented
-                </h4>
-                <ul className={`text-sm space-y-1 ${
-                  darkMode ? 'text-slate-400' : 'text-slate-600'
-                }`}>
-                  <li>• $extends for group inheritance</li>
-                  <li>• JSON Pointer ($ref) syntax</li>
-                  <li>• Property-level references</li>
-                </ul>
-              </div>
             </div>
           </div>
         </div>
@@ -0,0 +1,84 @@
+/**
+ * Baselines for adopting the validator on existing token files
+ * A baseline is a snapshot of the diagnostics of a validation. Later
+ * validations only report diagnostics that are not in the baseline, so new
+ * problems fail while known ones are fixed over time
+ *
+ * Diagnostics are keyed by their file, rule code and token path, not by line
+ * numbers, so the baseline survives unrelated edits:
+ *
+ *   {
+ *     "version": 1,
+ *     "diagnostics": [
+ *       { "code": "color/hex-format", "path": "color.overlay", "count": 1 }
+ *     ]
+ *   }
+ */
+
+import { createResult } from './diagnostics.js';
+
+export const BASELINE_VERSION = 1;
+
+/**
+ * Key identifying the diagnostics a baseline entry stands for
+ */
+function baselineKey({ file, code, path }) {
+  return JSON.stringify([file ?? null, code, path]);
+}
+
+/**
+ * Creates a baseline from a validation result
+ * Entries are sorted by file, token path and rule code, so the baseline
+ * diffs well when it is checked in
+ */
+export function createBaseline(result) {
+  const entries = new Map();
+
+  for (const diagnostic of result.diagnostics) {
+    const entry = { ...(diagnostic.file && { file: diagnostic.file }), code: diagnostic.code, path: diagnostic.path.join('.') };
+    const key = baselineKey(entry);
+    entries.set(key, { ...entry, count: (entries.get(key)?.count ?? 0) + 1 });
+  }
+
+  const diagnostics = [...entries.values()].sort((a, b) =>
+    (a.file ?? '').localeCompare(b.file ?? '') || a.path.localeCompare(b.path) || a.code.localeCompare(b.code)
+  );
+  return { version: BASELINE_VERSION, diagnostics };
+}
+
+/**
+ * Filters the diagnostics of a validation result that are in a baseline
+ * If a token has more diagnostics of a rule than the baseline counts, the
+ * last ones are new. Returns the result with only the new diagnostics and
+ * `baseline: { known, fixed }`: the number of diagnostics found in the
+ * baseline, and of baselined diagnostics that no longer occur
+ * Throws if the baseline is malformed
+ */
+export function applyBaseline(result, baseline) {
+  if (baseline?.version !== BASELINE_VERSION || !Array.isArray(baseline.diagnostics)) {
+    throw new Error(`Invalid baseline: expected { "version": ${BASELINE_VERSION}, "diagnostics": [...] }`);
+  }
+
+  const remaining = new Map();
+  for (const entry of baseline.diagnostics) {
+    const key = baselineKey(entry);
+    remaining.set(key, (remaining.get(key) ?? 0) + (entry.count ?? 1));
+  }
+
+  let known = 0;
+  const diagnostics = result.diagnostics.filter(diagnostic => {
+    const key = baselineKey({ file: diagnostic.file, code: diagnostic.code, path: diagnostic.path.join('.') });
+    if ((remaining.get(key) ?? 0) === 0) {
+      return true;
+    }
+    remaining.set(key, remaining.get(key) - 1);
+    known++;
+    return false;
+  });
+
+  const fixed = [...remaining.values()].reduce((sum, count) => sum + count, 0);
+  return {
+    ...createResult(diagnostics, result.tokenCount, result.suppressed),
+    baseline: { known, fixed }
+  };
+}
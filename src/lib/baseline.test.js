@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { createBaseline, applyBaseline } from './baseline.js';
+import { validateTokens, validateTokenFiles } from './dtcgValidator.js';
+
+const legacy = {
+  color: {
+    $type: 'color',
+    overlay: { $value: '#00000080' },
+    shadow: { $value: '#00000033' }
+  },
+  text: {
+    $type: 'typography',
+    body: { $value: { fontFamily: 'Inter' } }
+  }
+};
+
+describe('Baseline', () => {
+  describe('createBaseline', () => {
+    it('should key diagnostics by rule code and token path', () => {
+      expect(createBaseline(validateTokens(JSON.stringify(legacy)))).toEqual({
+        version: 1,
+        diagnostics: [
+          { code: 'color/hex-format', path: 'color.overlay', count: 1 },
+          { code: 'color/hex-format', path: 'color.shadow', count: 1 },
+          { code: 'typography/missing-property', path: 'text.body', count: 4 }
+        ]
+      });
+    });
+
+    it('should include the file of diagnostics', () => {
+      const result = validateTokenFiles({ 'legacy.json': JSON.stringify(legacy) });
+      expect(createBaseline(result).diagnostics[0]).toEqual({ file: 'legacy.json', code: 'color/hex-format', path: 'color.overlay', count: 1 });
+    });
+  });
+
+  describe('applyBaseline', () => {
+    const baseline = createBaseline(validateTokens(JSON.stringify(legacy)));
+
+    it('should report no diagnostics for an unchanged file', () => {
+      const result = applyBaseline(validateTokens(JSON.stringify(legacy, null, 2)), baseline);
+      expect(result.valid).toBe(true);
+      expect(result.diagnostics).toEqual([]);
+      expect(result.baseline).toEqual({ known: 6, fixed: 0 });
+    });
+
+    it('should report only new diagnostics', () => {
+      const tokens = {
+        ...legacy,
+        spacing: { small: { $type: 'dimension', $value: '8em' } },
+        text: { $type: 'typography', body: { $value: { fontFamily: 'Inter', fontStyle: 'italic' } } }
+      };
+      const result = applyBaseline(validateTokens(JSON.stringify(tokens)), baseline);
+      expect(result.valid).toBe(false);
+      expect(result.diagnostics.map(d => [d.code, d.path.join('.')])).toEqual([
+        ['typography/unknown-property', 'text.body'],
+        ['dimension/format', 'spacing.small']
+      ]);
+    });
+
+    it('should report more diagnostics of a rule on a token than the baseline counts', () => {
+      const before = createBaseline(validateTokens(JSON.stringify({ text: { $type: 'typography', $value: { fontFamily: 'Inter', fontSize: '16px', fontWeight: 400 } } })));
+      const result = applyBaseline(validateTokens(JSON.stringify({ text: { $type: 'typography', $value: { fontFamily: 'Inter', fontSize: '16px' } } })), before);
+      expect(result.errors).toEqual(['Typography at text is missing required field: lineHeight']);
+      expect(result.baseline).toEqual({ known: 2, fixed: 0 });
+    });
+
+    it('should count fixed diagnostics', () => {
+      const tokens = { ...legacy, color: { $type: 'color', overlay: { $value: '#000000' }, shadow: legacy.color.shadow } };
+      const result = applyBaseline(validateTokens(JSON.stringify(tokens)), baseline);
+      expect(result.diagnostics).toEqual([]);
+      expect(result.baseline).toEqual({ known: 5, fixed: 1 });
+    });
+
+    it('should throw for malformed baselines', () => {
+      expect(() => applyBaseline(validateTokens('{}'), { diagnostics: [] })).toThrow('Invalid baseline: expected { "version": 1, "diagnostics": [...] }');
+    });
+  });
+});
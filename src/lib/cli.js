@@ -0,0 +1,112 @@
+/**
+ * dtcg-validate: validates token files from the command line
+ *
+ *   dtcg-validate tokens/ "brand/*.tokens.json" --spec 2025.10
+ *
+ * Exits with 1 if any file has errors (or warnings, with --fail-on warning)
+ * and with 2 for invalid arguments, config files and unreadable files
+ */
+
+import { parseArgs } from 'node:util';
+import { existsSync, readFileSync } from 'node:fs';
+import { relative, resolve } from 'node:path';
+import { validateTokens, parseConfig } from './dtcgValidator.js';
+import { CONFIG_FILE_NAME } from './config.js';
+import { findTokenFiles } from './files.js';
+import { REPORT_FORMATS } from './reporters.js';
+
+const FAIL_ON_LEVELS = ['error', 'warning'];
+
+const USAGE = `Usage: dtcg-validate [options] <files, directories or globs...>
+
+Validates W3C design token files. Directories are searched for .json files.
+
+Options:
+  --config <file>    Config file (default: ${CONFIG_FILE_NAME} in the working directory)
+  --spec <version>   Spec version to validate against, e.g. 2025.10
+  --strict           Enable strict mode
+  --fail-on <level>  Exit with 1 on "error" (default) or on "warning" and above
+  --format <format>  Report format: ${Object.keys(REPORT_FORMATS).join(', ')} (default: text)
+  -h, --help         Show this help
+`;
+
+/**
+ * Loads the validation options of a config file
+ * Without --config, a config file in the working directory is used if present
+ */
+function loadConfig(configPath, cwd) {
+  const path = resolve(cwd, configPath ?? CONFIG_FILE_NAME);
+  if (configPath === undefined && !existsSync(path)) {
+    return {};
+  }
+  return parseConfig(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Runs the command line with its arguments, e.g. process.argv.slice(2)
+ * Output goes to `stdout` and `stderr` streams. Returns the exit code
+ */
+export function runCli(args, { cwd, stdout, stderr }) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        config: { type: 'string' },
+        spec: { type: 'string' },
+        strict: { type: 'boolean' },
+        'fail-on': { type: 'string', default: 'error' },
+        format: { type: 'string', default: 'text' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (error) {
+    stderr.write(`dtcg-validate: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (values.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length === 0) {
+    stderr.write(`dtcg-validate: no files given\n\n${USAGE}`);
+    return 2;
+  }
+  if (!FAIL_ON_LEVELS.includes(values['fail-on'])) {
+    stderr.write(`dtcg-validate: --fail-on must be ${FAIL_ON_LEVELS.join(' or ')}\n`);
+    return 2;
+  }
+  if (!Object.hasOwn(REPORT_FORMATS, values.format)) {
+    stderr.write(`dtcg-validate: --format must be one of ${Object.keys(REPORT_FORMATS).join(', ')}\n`);
+    return 2;
+  }
+
+  try {
+    const options = {
+      ...loadConfig(values.config, cwd),
+      ...(values.spec !== undefined && { spec: values.spec }),
+      ...(values.strict && { strict: true })
+    };
+
+    const { files, unmatched } = findTokenFiles(positionals, cwd);
+    if (unmatched.length > 0) {
+      stderr.write(`dtcg-validate: no files found for ${unmatched.map(pattern => `"${pattern}"`).join(', ')}\n`);
+      return 2;
+    }
+
+    const reports = files.map(path => ({
+      file: relative(cwd, path),
+      result: validateTokens(readFileSync(path, 'utf8'), options)
+    }));
+    stdout.write(REPORT_FORMATS[values.format](reports, options));
+
+    const failing = values['fail-on'] === 'warning' ? ['error', 'warning'] : ['error'];
+    return reports.some(({ result }) => result.diagnostics.some(diagnostic => failing.includes(diagnostic.severity))) ? 1 : 0;
+  } catch (error) {
+    stderr.write(`dtcg-validate: ${error.message}\n`);
+    return 2;
+  }
+}
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { runCli } from './cli.js';
+import { findTokenFiles } from './files.js';
+
+const overlay = JSON.stringify({ color: { overlay: { $type: 'color', $value: '#00000080' } } });
+const spacing = '{\n  "size": {\n    "$type": "dimension",\n    "small": { "$value": "8em" }\n  }\n}\n';
+const valid = JSON.stringify({ opacity: { $type: 'number', $value: 0.5 } });
+
+let cwd;
+
+/**
+ * Runs the command line in the temporary directory, capturing its output
+ */
+function run(...args) {
+  let stdout = '';
+  let stderr = '';
+  const code = runCli(args, {
+    cwd,
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+}
+
+beforeEach(() => {
+  cwd = mkdtempSync(join(tmpdir(), 'dtcg-cli-'));
+  mkdirSync(join(cwd, 'tokens', 'brand'), { recursive: true });
+  writeFileSync(join(cwd, 'tokens', 'colors.json'), overlay);
+  writeFileSync(join(cwd, 'tokens', 'brand', 'spacing.json'), spacing);
+  writeFileSync(join(cwd, 'tokens', 'notes.txt'), 'not tokens');
+  writeFileSync(join(cwd, 'valid.json'), valid);
+});
+
+afterEach(() => {
+  rmSync(cwd, { recursive: true, force: true });
+});
+
+describe('Command line', () => {
+  describe('findTokenFiles', () => {
+    it('should find the .json files in directories', () => {
+      const { files } = findTokenFiles(['tokens'], cwd);
+      expect(files).toEqual([join(cwd, 'tokens', 'brand', 'spacing.json'), join(cwd, 'tokens', 'colors.json')]);
+    });
+
+    it('should find .tokens files and skip manifests, lockfiles and the config in directories', () => {
+      ['package.json', 'package-lock.json', '.dtcgrc.json', 'theme.tokens', 'theme.tokens.json'].forEach(name => writeFileSync(join(cwd, name), '{}'));
+      const { files } = findTokenFiles(['.'], cwd);
+      expect(files).toEqual([
+        join(cwd, 'theme.tokens'),
+        join(cwd, 'theme.tokens.json'),
+        join(cwd, 'tokens', 'brand', 'spacing.json'),
+        join(cwd, 'tokens', 'colors.json'),
+        join(cwd, 'valid.json')
+      ]);
+    });
+
+    it('should match globs within and across directories', () => {
+      expect(findTokenFiles(['tokens/*.json'], cwd).files).toEqual([join(cwd, 'tokens', 'colors.json')]);
+      expect(findTokenFiles(['**/spacing.json'], cwd).files).toEqual([join(cwd, 'tokens', 'brand', 'spacing.json')]);
+      expect(findTokenFiles(['tokens/**/*.txt'], cwd).files).toEqual([join(cwd, 'tokens', 'notes.txt')]);
+    });
+
+    it('should report patterns without files', () => {
+      expect(findTokenFiles(['valid.json', 'missing/*.json'], cwd)).toEqual({
+        files: [join(cwd, 'valid.json')],
+        unmatched: ['missing/*.json']
+      });
+    });
+  });
+
+  describe('runCli', () => {
+    it('should print diagnostics grouped by file with file:line:column', () => {
+      const { code, stdout } = run('tokens');
+      expect(code).toBe(1);
+      expect(stdout).toContain(`${join('tokens', 'brand', 'spacing.json')}\n  ${join('tokens', 'brand', 'spacing.json')}:4:26  error    Dimension at size.small`);
+      expect(stdout).toContain('dimension/format');
+      expect(stdout).toContain(`${join('tokens', 'colors.json')}:1:`);
+      expect(stdout).toContain('✖ 2 problems (1 error, 1 warning, 0 info), 2 tokens in 2 files');
+    });
+
+    it('should exit with 0 without errors', () => {
+      const { code, stdout } = run('valid.json', 'tokens/colors.json');
+      expect(code).toBe(0);
+      expect(stdout).toContain('color/hex-format');
+    });
+
+    it('should fail on warnings with --fail-on warning', () => {
+      expect(run('tokens/colors.json', '--fail-on', 'warning').code).toBe(1);
+      expect(run('valid.json', '--fail-on', 'warning')).toEqual({ code: 0, stdout: '✓ No problems (1 token in 1 file)\n', stderr: '' });
+    });
+
+    it('should apply --spec and --strict', () => {
+      expect(run('tokens', '--spec', 'draft-2023').code).toBe(0);
+      expect(run('tokens/colors.json', '--strict').stdout).toContain('color/shorthand');
+    });
+
+    it('should use the .dtcgrc.json config of the working directory', () => {
+      writeFileSync(join(cwd, '.dtcgrc.json'), JSON.stringify({ rules: { 'dimension/format': 'warning' } }));
+      expect(run('tokens').code).toBe(0);
+    });
+
+    it('should use the config file given with --config', () => {
+      writeFileSync(join(cwd, 'ci.json'), JSON.stringify({ preset: 'strict' }));
+      expect(run('tokens/colors.json', '--config', 'ci.json').code).toBe(1);
+    });
+
+    it('should exit with 2 for invalid arguments and configs', () => {
+      expect(run().code).toBe(2);
+      expect(run('tokens', '--fail-on', 'info').code).toBe(2);
+      expect(run('tokens', '--unknown').code).toBe(2);
+
+      const { code, stderr } = run('tokens', '--spec', '2019');
+      expect(code).toBe(2);
+      expect(stderr).toBe('dtcg-validate: Unknown spec version "2019". Supported: 2025.10, draft-2023\n');
+
+      expect(run('tokens', '--config', 'missing.json').code).toBe(2);
+    });
+
+    it('should print the report format given with --format', () => {
+      const { code, stdout } = run('tokens/colors.json', '--format', 'github');
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/^::warning file=tokens\/colors\.json,line=1,col=47,/);
+      expect(JSON.parse(run('tokens', '--format', 'sarif').stdout).version).toBe('2.1.0');
+      expect(run('tokens', '--format', 'xml').code).toBe(2);
+    });
+
+    it('should exit with 2 if a pattern finds no files', () => {
+      const { code, stderr } = run('valid.json', 'themes/*.json');
+      expect(code).toBe(2);
+      expect(stderr).toBe('dtcg-validate: no files found for "themes/*.json"\n');
+    });
+
+    it('should print usage with --help', () => {
+      const { code, stdout } = run('--help');
+      expect(code).toBe(0);
+      expect(stdout).toContain('Usage: dtcg-validate');
+    });
+  });
+});
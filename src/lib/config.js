@@ -0,0 +1,103 @@
+/**
+ * Validation options: spec version, strict mode, rule severities and presets
+ * The same shape is used for the options of the validator functions and for
+ * .dtcgrc.json config files, e.g.
+ * { "preset": "recommended", "rules": { "color/hex-format": "off" } }
+ */
+
+import { SPEC_VERSIONS, DEFAULT_SPEC_VERSION } from './spec.js';
+import { RULES } from './rules.js';
+import { collectPluginRules, collectPluginTypes } from './plugins.js';
+
+export const CONFIG_FILE_NAME = '.dtcgrc.json';
+
+/**
+ * Severities a rule can be set to; "off" disables the rule
+ */
+export const SEVERITIES = ['off', 'info', 'warning', 'error'];
+
+/**
+ * Named sets of options
+ * "recommended" keeps the default severity of every rule, "strict" enables
+ * strict mode and turns all warnings into errors
+ */
+export const PRESETS = {
+  recommended: {
+    rules: {}
+  },
+  strict: {
+    strict: true,
+    rules: Object.fromEntries(
+      Object.entries(RULES)
+        .filter(([, rule]) => rule.severity === 'warning')
+        .map(([code]) => [code, 'error'])
+    )
+  }
+};
+
+/**
+ * Resolves validation options into { spec, strict, rules, pluginRules, types }
+ * Options override the preset they name; `rules` maps rule codes to
+ * severities, including those of rules added by `plugins`, and `types` holds
+ * the token types of the plugins. Throws for unknown presets, spec versions,
+ * rules and severities
+ */
+export function resolveOptions(options = {}) {
+  const preset = options.preset ?? 'recommended';
+  if (!Object.hasOwn(PRESETS, preset)) {
+    throw new Error(`Unknown preset "${preset}". Supported: ${Object.keys(PRESETS).join(', ')}`);
+  }
+
+  const spec = options.spec ?? DEFAULT_SPEC_VERSION;
+  if (!Object.hasOwn(SPEC_VERSIONS, spec)) {
+    throw new Error(`Unknown spec version "${spec}". Supported: ${Object.keys(SPEC_VERSIONS).join(', ')}`);
+  }
+
+  const pluginRules = collectPluginRules(options.plugins);
+  const rules = { ...PRESETS[preset].rules, ...options.rules };
+  for (const [code, severity] of Object.entries(rules)) {
+    if (!Object.hasOwn(RULES, code) && !Object.hasOwn(pluginRules, code)) {
+      throw new Error(`Unknown rule "${code}"`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for rule "${code}". Supported: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  return {
+    spec,
+    strict: options.strict ?? PRESETS[preset].strict ?? false,
+    rules,
+    pluginRules,
+    types: collectPluginTypes(options.plugins)
+  };
+}
+
+/**
+ * Parses the contents of a .dtcgrc.json config file into validation options
+ * Throws if it is not a JSON object
+ */
+export function parseConfig(jsonString) {
+  let config;
+  try {
+    config = JSON.parse(jsonString);
+  } catch (error) {
+    throw new Error(`Invalid ${CONFIG_FILE_NAME}: ${error.message}`);
+  }
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error(`Invalid ${CONFIG_FILE_NAME}: must be an object`);
+  }
+
+  resolveOptions(config);
+  return config;
+}
+
+/**
+ * Applies configured rule severities to diagnostics
+ * Diagnostics of rules set to "off" are dropped
+ */
+export function applyRuleSeverities(diagnostics, rules) {
+  return diagnostics
+    .filter(diagnostic => rules[diagnostic.code] !== 'off')
+    .map(diagnostic => rules[diagnostic.code] ? { ...diagnostic, severity: rules[diagnostic.code] } : diagnostic);
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { resolveOptions, parseConfig, applyRuleSeverities, PRESETS } from './config.js';
+
+describe('Configuration', () => {
+  describe('resolveOptions', () => {
+    it('should default to the recommended preset', () => {
+      expect(resolveOptions()).toEqual({ spec: '2025.10', strict: false, rules: {}, pluginRules: {}, types: {} });
+    });
+
+    it('should let options override their preset', () => {
+      const options = resolveOptions({ preset: 'strict', strict: false, rules: { 'color/hex-format': 'off' } });
+      expect(options.strict).toBe(false);
+      expect(options.rules['color/hex-format']).toBe('off');
+      expect(options.rules['property/unknown']).toBe('error');
+    });
+
+    it('should throw for unknown presets, rules and severities', () => {
+      expect(() => resolveOptions({ preset: 'lenient' })).toThrow('Unknown preset "lenient". Supported: recommended, strict');
+      expect(() => resolveOptions({ rules: { 'color/hex': 'off' } })).toThrow('Unknown rule "color/hex"');
+      expect(() => resolveOptions({ rules: { 'color/hex-format': 'fatal' } })).toThrow('Invalid severity "fatal" for rule "color/hex-format". Supported: off, info, warning, error');
+    });
+  });
+
+  describe('PRESETS', () => {
+    it('should turn all warnings into errors in the strict preset', () => {
+      expect(PRESETS.strict.strict).toBe(true);
+      expect(PRESETS.strict.rules).toMatchObject({ 'color/hex-format': 'error', 'reference/deprecated': 'error' });
+      expect(PRESETS.strict.rules['token/missing-value']).toBeUndefined();
+    });
+  });
+
+  describe('parseConfig', () => {
+    it('should parse a config file', () => {
+      expect(parseConfig('{ "spec": "draft-2023", "rules": { "color/hex-format": "off" } }')).toEqual({
+        spec: 'draft-2023',
+        rules: { 'color/hex-format': 'off' }
+      });
+    });
+
+    it('should throw for invalid config files', () => {
+      expect(() => parseConfig('{ "rules": ')).toThrow(/^Invalid \.dtcgrc\.json: /);
+      expect(() => parseConfig('[]')).toThrow('Invalid .dtcgrc.json: must be an object');
+      expect(() => parseConfig('{ "spec": "2019" }')).toThrow('Unknown spec version "2019"');
+    });
+  });
+
+  describe('applyRuleSeverities', () => {
+    const diagnostics = [
+      { code: 'color/hex-format', severity: 'warning' },
+      { code: 'token/missing-value', severity: 'error' }
+    ];
+
+    it('should change severities and drop rules that are off', () => {
+      expect(applyRuleSeverities(diagnostics, { 'color/hex-format': 'info', 'token/missing-value': 'off' })).toEqual([
+        { code: 'color/hex-format', severity: 'info' }
+      ]);
+    });
+
+    it('should not modify the diagnostics', () => {
+      applyRuleSeverities(diagnostics, { 'color/hex-format': 'error' });
+      expect(diagnostics[0].severity).toBe('warning');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Conversions from shorthand values to the object forms of the 2025.10
+ * Format Module, e.g. "16px" => { "value": 16, "unit": "px" }
+ */
+
+/**
+ * Converts a dimension string or number to a dimension object
+ * Plain numbers are taken as pixels. Returns null for values that are not a
+ * number with a "px" or "rem" unit
+ */
+export function toDimensionObject(value) {
+  if (typeof value === 'number') {
+    return { value, unit: 'px' };
+  }
+  const match = typeof value === 'string' ? value.match(/^(-?\d+(?:\.\d+)?)(px|rem)$/) : null;
+  return match ? { value: Number(match[1]), unit: match[2] } : null;
+}
+
+/**
+ * Converts a hex color string to an sRGB color object
+ * 8-digit hex colors keep their opacity as alpha. Returns null for strings
+ * that are not 6- or 8-digit hex colors
+ */
+export function toColorObject(value) {
+  const match = typeof value === 'string' ? value.match(/^#([0-9a-fA-F]{6})([0-9a-fA-F]{2})?$/) : null;
+  if (!match) {
+    return null;
+  }
+
+  const channel = hex => Math.round(parseInt(hex, 16) / 255 * 10000) / 10000;
+  const color = {
+    colorSpace: 'srgb',
+    components: [0, 2, 4].map(start => channel(match[1].slice(start, start + 2))),
+    hex: `#${match[1].toLowerCase()}`
+  };
+  if (match[2]) {
+    color.alpha = channel(match[2]);
+  }
+  return color;
+}
+
+/**
+ * Formats a converted value on one line for messages
+ * e.g. { value: 16, unit: 'px' } => '{ "value": 16, "unit": "px" }'
+ */
+export function formatValue(value) {
+  return JSON.stringify(value, null, 1)
+    .replace(/\n\s*/g, ' ')
+    .replace(/\[ ([^[\]]*) \]/g, '[$1]');
+}
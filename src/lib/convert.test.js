@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { toDimensionObject, toColorObject, formatValue } from './convert.js';
+
+describe('Conversions', () => {
+  describe('toDimensionObject', () => {
+    it('should convert dimension strings and numbers', () => {
+      expect(toDimensionObject('16px')).toEqual({ value: 16, unit: 'px' });
+      expect(toDimensionObject('-1.5rem')).toEqual({ value: -1.5, unit: 'rem' });
+      expect(toDimensionObject(0)).toEqual({ value: 0, unit: 'px' });
+    });
+
+    it('should return null for other values', () => {
+      expect(toDimensionObject('16em')).toBeNull();
+      expect(toDimensionObject('{spacing.small}')).toBeNull();
+    });
+  });
+
+  describe('toColorObject', () => {
+    it('should convert hex colors to sRGB color objects', () => {
+      expect(toColorObject('#FF6600')).toEqual({ colorSpace: 'srgb', components: [1, 0.4, 0], hex: '#ff6600' });
+    });
+
+    it('should keep the opacity of 8-digit hex colors as alpha', () => {
+      expect(toColorObject('#00000080')).toEqual({ colorSpace: 'srgb', components: [0, 0, 0], hex: '#000000', alpha: 0.502 });
+    });
+
+    it('should return null for other strings', () => {
+      expect(toColorObject('red')).toBeNull();
+      expect(toColorObject('#fff')).toBeNull();
+    });
+  });
+
+  describe('formatValue', () => {
+    it('should format values on one line', () => {
+      expect(formatValue({ value: 16, unit: 'px' })).toBe('{ "value": 16, "unit": "px" }');
+      expect(formatValue({ colorSpace: 'srgb', components: [1, 0, 0] })).toBe('{ "colorSpace": "srgb", "components": [1, 0, 0] }');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Diagnostics shared by the validator modules
+ */
+
+import { RULES } from './rules.js';
+import { ROOT_TOKEN } from './spec.js';
+
+/**
+ * Creates a structured diagnostic for a rule
+ * `location` is the full path to the offending key or value: the token path
+ * followed by the `$` property and any keys or indices inside it; the
+ * $root token of a group belongs to the token path
+ * `rule` defaults to the built-in rule of the code
+ */
+export function createDiagnostic(code, message, location = [], value = undefined, rule = RULES[code]) {
+  const split = location.findIndex(segment => typeof segment === 'string' && segment.startsWith('$') && segment !== ROOT_TOKEN);
+
+  return {
+    code,
+    message,
+    severity: rule.severity,
+    category: rule.category,
+    path: split === -1 ? location : location.slice(0, split),
+    valuePath: split === -1 ? [] : location.slice(split),
+    value,
+    range: null
+  };
+}
+
+/**
+ * Formats a location as used in messages
+ * e.g., ["easing", "curve", "$value", 0] => "easing.curve[0]"
+ */
+export function formatPath(location) {
+  return location.reduce((formatted, segment) => {
+    if (segment === '$value') return formatted;
+    if (typeof segment === 'number') return `${formatted}[${segment}]`;
+    return formatted ? `${formatted}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Builds a validation result from collected diagnostics
+ * `errors`, `warnings` and `infos` keep the plain message arrays for existing consumers
+ * `suppressed` lists the diagnostics suppressed by the documents
+ */
+export function createResult(diagnostics, tokenCount = 0, suppressed = []) {
+  const messages = severity => diagnostics
+    .filter(diagnostic => diagnostic.severity === severity)
+    .map(diagnostic => diagnostic.message);
+  const errors = messages('error');
+
+  return {
+    valid: errors.length === 0,
+    diagnostics,
+    errors,
+    warnings: messages('warning'),
+    infos: messages('info'),
+    suppressed,
+    tokenCount
+  };
+}
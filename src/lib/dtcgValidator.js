@@ -4,165 +4,182 @@
  * @see https://www.designtokens.org/TR/2025.10/format/
  */
 
+import {
+  VALID_TOKEN_TYPES,
+  FONT_WEIGHT_ALIASES,
+  STROKE_STYLE_VALUES,
+  COLOR_SPACES,
+  COMPOSITE_PROPERTY_TYPES,
+  TOKEN_PROPERTIES,
+  GROUP_PROPERTIES,
+  ROOT_PROPERTIES,
+  ROOT_TOKEN,
+  SPEC_VERSIONS,
+  SPEC_FEATURES
+} from './spec.js';
+import { RULES, explainDiagnostic } from './rules.js';
+import { parseJson, findRange, findDuplicateKeys, parseJsonPointer, getAtPointer } from './jsonParser.js';
+import { createDiagnostic, createResult, formatPath } from './diagnostics.js';
+import { findClosest } from './suggest.js';
+import { toColorObject, toDimensionObject, formatValue } from './convert.js';
+import { resolveOptions, applyRuleSeverities } from './config.js';
+import { collectPluginRules, runPluginRules } from './plugins.js';
+import { suppressDiagnostics } from './suppressions.js';
+
+export { ERROR_CATEGORIES, RULES } from './rules.js';
+export { SPEC_VERSIONS, DEFAULT_SPEC_VERSION } from './spec.js';
+export { PRESETS, SEVERITIES, parseConfig } from './config.js';
+export { formatText, formatJson, formatSarif, formatJunit, formatGithub, REPORT_FORMATS } from './reporters.js';
+export { getTokenType } from './plugins.js';
+
 /**
- * Error categories for better classification
+ * Records a diagnostic on the validation context
+ * `fix` is an optional machine-applicable repair, see fix.js
  */
-const ERROR_CATEGORIES = {
-  STRUCTURE: 'structure',
-  TYPE: 'type',
-  VALUE: 'value',
-  NAMING: 'naming',
-  REFERENCE: 'reference'
-};
+function report(context, code, message, location, value, fix) {
+  const diagnostic = createDiagnostic(code, message, location, value);
+  if (fix && isFixable(context, fix)) {
+    diagnostic.fix = fix;
+  }
+  context.diagnostics.push(diagnostic);
+}
 
 /**
- * Creates a structured error object
+ * Checks if the edits of a fix apply to the document as written
+ * Values reached through an alias or inherited through $extends are fixed
+ * where they are defined, not where the problem shows
  */
-function createError(message, path, category, suggestion = null) {
-  return {
-    message,
-    path,
-    category,
-    suggestion,
-    severity: 'error'
-  };
+function isFixable(context, fix) {
+  return fix.edits.every(edit => {
+    if (edit.to) {
+      return getAtPointer(context.source, edit.location) !== undefined;
+    }
+    const parent = getAtPointer(context.source, edit.location.slice(0, -1));
+    return typeof parent === 'object' && parent !== null &&
+      getAtPointer(context.source, edit.location) === edit.previous;
+  });
 }
 
 /**
- * Creates a structured warning object
+ * Creates a fix replacing the value at a location
  */
-function createWarning(message, path, category, suggestion = null) {
-  return {
-    message,
-    path,
-    category,
-    suggestion,
-    severity: 'warning'
-  };
+function replaceWith(description, location, previous, value) {
+  return { description, edits: [{ location, previous, value }] };
 }
 
 /**
- * Valid token types according to W3C DTCG spec
- */
-const VALID_TOKEN_TYPES = [
-  'color',
-  'dimension',
-  'fontFamily',
-  'fontWeight',
-  'duration',
-  'cubicBezier',
-  'number',
-  'strokeStyle',
-  'border',
-  'transition',
-  'shadow',
-  'gradient',
-  'typography'
-];
-
-/**
- * Valid font weight string aliases
- */
-const FONT_WEIGHT_ALIASES = {
-  'thin': 100,
-  'hairline': 100,
-  'extra-light': 200,
-  'ultra-light': 200,
-  'light': 300,
-  'normal': 400,
-  'regular': 400,
-  'book': 400,
-  'medium': 500,
-  'semi-bold': 600,
-  'demi-bold': 600,
-  'bold': 700,
-  'extra-bold': 800,
-  'ultra-bold': 800,
-  'black': 900,
-  'heavy': 900,
-  'extra-black': 950,
-  'ultra-black': 950
-};
-
-/**
- * Valid stroke style string values
- */
-const STROKE_STYLE_VALUES = [
-  'solid',
-  'dashed',
-  'dotted',
-  'double',
-  'groove',
-  'ridge',
-  'outset',
-  'inset'
-];
-
-/**
- * Valid color spaces and their component requirements
- * Per W3C Design Tokens Color Module 2025.10
- */
-const COLOR_SPACES = {
-  'srgb': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
-  'srgb-linear': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
-  'hsl': { components: 3, ranges: [[0, 360], [0, 100], [0, 100]] },
-  'hwb': { components: 3, ranges: [[0, 360], [0, 100], [0, 100]] },
-  'lab': { components: 3, ranges: [[0, 100], [-Infinity, Infinity], [-Infinity, Infinity]] },
-  'lch': { components: 3, ranges: [[0, 100], [0, Infinity], [0, 360]] },
-  'oklab': { components: 3, ranges: [[0, 1], [-Infinity, Infinity], [-Infinity, Infinity]] },
-  'oklch': { components: 3, ranges: [[0, 1], [0, Infinity], [0, 360]] },
-  'display-p3': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
-  'a98-rgb': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
-  'prophoto-rgb': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
-  'rec2020': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
-  'xyz-d65': { components: 3, ranges: [[-Infinity, Infinity], [-Infinity, Infinity], [-Infinity, Infinity]] },
-  'xyz-d50': { components: 3, ranges: [[-Infinity, Infinity], [-Infinity, Infinity], [-Infinity, Infinity]] }
-};
+ * Checks if the spec version the tokens are validated against supports a
+ * construct, e.g. 'color-object'
+ */
+function supports(context, feature) {
+  return SPEC_VERSIONS[context.spec].features.includes(feature);
+}
+
+/**
+ * Names the spec versions matching a condition, for messages about
+ * constructs the selected version does not allow
+ * e.g. " (allowed in draft-2023)", or "" if no version allows it
+ */
+function allowedIn(isAllowed) {
+  const versions = Object.keys(SPEC_VERSIONS).filter(version => isAllowed(SPEC_VERSIONS[version]));
+  return versions.length > 0 ? ` (allowed in ${versions.join(', ')})` : '';
+}
+
+/**
+ * Reports a construct that is not part of the selected spec version
+ * `path` names the token or group in the message, if not the location itself
+ */
+function reportUnsupported(context, feature, location, value, path = location) {
+  const allowed = allowedIn(profile => profile.features.includes(feature));
+  report(context, 'spec/unsupported', `${SPEC_FEATURES[feature]} at ${formatPath(path) || 'root'} are not part of ${context.spec}${allowed}`, location, value);
+}
+
+/**
+ * Formats a list of units for messages, e.g. '"px" or "rem"'
+ */
+function formatUnits(units) {
+  const quoted = units.map(unit => `"${unit}"`);
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0];
+}
+
+/**
+ * Checks if a key of a group names a token or group: keys without $, and
+ * the $root token of the group
+ */
+function isChildKey(key) {
+  return !key.startsWith('$') || key === ROOT_TOKEN;
+}
 
 /**
  * Validates a color value per W3C Design Tokens Color Module
  * Color can be:
- * - String hex format: #rrggbb (no alpha in hex per spec)
+ * - String hex format: #rrggbb (no alpha in hex per spec; earlier drafts
+ *   also allow #rrggbbaa)
  * - Object format with colorSpace, components, optional alpha and hex
  * - Reference: {token.path}
+ * Strict mode only allows the object format
  */
-function validateColorValue(value, path, errors, warnings) {
+function validateColorValue(value, path, context) {
   if (typeof value === 'string') {
+    if (context.strict && supports(context, 'color-object') && !isReference(value)) {
+      const color = toColorObject(value);
+      const fix = color ? replaceWith(`Convert "${value}" to a color object`, path, value, color) : undefined;
+      report(context, 'color/shorthand', `Color at ${formatPath(path)} must be a color object in strict mode${color ? `: ${formatValue(color)}` : ''}`, path, value, fix);
+      return;
+    }
+
     // Allow hex colors and references
     // Per color module: hex is 6-digit only (no alpha encoding)
+    const hexAlpha = /^#[0-9a-fA-F]{8}$/.test(value);
+    if (hexAlpha && supports(context, 'hex-alpha')) {
+      return;
+    }
     if (!value.match(/^#[0-9a-fA-F]{6}$/) && !value.match(/^\{.+\}$/)) {
-      warnings.push(`Color at ${path} should be in 6-digit hex format (#rrggbb) or a reference`);
+      const format = supports(context, 'hex-alpha') ? '6- or 8-digit hex format (#rrggbb or #rrggbbaa)' : '6-digit hex format (#rrggbb)';
+      const allowed = hexAlpha ? allowedIn(profile => profile.features.includes('hex-alpha')) : '';
+      // The alpha of 8-digit hex moves into a color object
+      const fix = hexAlpha && supports(context, 'color-object')
+        ? replaceWith(`Convert "${value}" to a color object with alpha`, path, value, toColorObject(value))
+        : undefined;
+      report(context, 'color/hex-format', `Color at ${formatPath(path)} should be in ${format} or a reference${allowed}`, path, value, fix);
     }
   } else if (typeof value === 'object' && value !== null) {
+    if (!supports(context, 'color-object')) {
+      reportUnsupported(context, 'color-object', path, value);
+      return;
+    }
+
     // W3C color object format
     if (!value.colorSpace) {
-      errors.push(`Color object at ${path} must have colorSpace property`);
+      report(context, 'color/missing-color-space', `Color object at ${formatPath(path)} must have colorSpace property`, [...path, 'colorSpace']);
       return;
     }
 
     // Validate color space is supported
     const colorSpaceInfo = COLOR_SPACES[value.colorSpace];
     if (!colorSpaceInfo) {
-      errors.push(`Color at ${path} has unsupported colorSpace "${value.colorSpace}". Supported: ${Object.keys(COLOR_SPACES).join(', ')}`);
+      report(context, 'color/unsupported-color-space', `Color at ${formatPath(path)} has unsupported colorSpace "${value.colorSpace}". Supported: ${Object.keys(COLOR_SPACES).join(', ')}`, [...path, 'colorSpace'], value.colorSpace);
       return;
     }
 
     // Validate components array
     if (!Array.isArray(value.components)) {
-      errors.push(`Color object at ${path} must have components array`);
+      report(context, 'color/missing-components', `Color object at ${formatPath(path)} must have components array`, [...path, 'components'], value.components);
       return;
     }
 
     if (value.components.length !== colorSpaceInfo.components) {
-      errors.push(`Color object at ${path} must have components array with exactly ${colorSpaceInfo.components} values`);
+      report(context, 'color/component-count', `Color object at ${formatPath(path)} must have components array with exactly ${colorSpaceInfo.components} values`, [...path, 'components'], value.components);
       return;
     }
 
     // Validate each component
     value.components.forEach((component, idx) => {
+      const componentPath = [...path, 'components', idx];
+
       // Components can be numbers or "none" keyword
       if (component !== 'none' && typeof component !== 'number') {
-        errors.push(`Color component at ${path}.components[${idx}] must be a number or "none"`);
+        report(context, 'color/component-type', `Color component at ${formatPath(componentPath)} must be a number or "none"`, componentPath, component);
         return;
       }
 
@@ -180,17 +197,19 @@ function validateColorValue(value, path, errors, warnings) {
         if (isHueComponent) {
           // Hue component (0-360 exclusive)
           if (component < 0 || component >= 360) {
-            errors.push(`Color hue component at ${path}.components[${idx}] must be >= 0 and < 360`);
+            const hue = ((component % 360) + 360) % 360;
+            const fix = replaceWith(`Normalize hue ${component} to ${hue}`, componentPath, component, hue);
+            report(context, 'color/hue-range', `Color hue component at ${formatPath(componentPath)} must be >= 0 and < 360`, componentPath, component, fix);
           }
         } else if (min !== -Infinity && max !== Infinity) {
           // Other bounded components
           if (component < min || component > max) {
-            errors.push(`Color component at ${path}.components[${idx}] must be between ${min} and ${max}`);
+            report(context, 'color/component-range', `Color component at ${formatPath(componentPath)} must be between ${min} and ${max}`, componentPath, component);
           }
         } else if (min !== -Infinity && max === Infinity) {
           // Chroma-like components (>= 0)
           if (component < min) {
-            errors.push(`Color component at ${path}.components[${idx}] must be >= ${min}`);
+            report(context, 'color/component-range', `Color component at ${formatPath(componentPath)} must be >= ${min}`, componentPath, component);
           }
         }
         // Unbounded components (like a, b in lab) - no validation needed
@@ -200,62 +219,110 @@ function validateColorValue(value, path, errors, warnings) {
     // hex property is optional but should be 6-digit string if present
     if (value.hex !== undefined) {
       if (typeof value.hex !== 'string') {
-        errors.push(`Color hex property at ${path} must be a string`);
+        report(context, 'color/hex-property', `Color hex property at ${formatPath(path)} must be a string`, [...path, 'hex'], value.hex);
       } else if (!value.hex.match(/^#[0-9a-fA-F]{6}$/)) {
-        errors.push(`Color hex property at ${path} must be 6-digit hex format (#rrggbb)`);
+        report(context, 'color/hex-property', `Color hex property at ${formatPath(path)} must be 6-digit hex format (#rrggbb)`, [...path, 'hex'], value.hex);
       }
     }
 
     // alpha property is optional but must be [0-1] if present
     if (value.alpha !== undefined) {
       if (typeof value.alpha !== 'number') {
-        errors.push(`Color alpha property at ${path} must be a number`);
+        report(context, 'color/alpha', `Color alpha property at ${formatPath(path)} must be a number`, [...path, 'alpha'], value.alpha);
       } else if (value.alpha < 0 || value.alpha > 1) {
-        errors.push(`Color alpha property at ${path} must be between 0 and 1`);
+        report(context, 'color/alpha', `Color alpha property at ${formatPath(path)} must be between 0 and 1`, [...path, 'alpha'], value.alpha);
       }
     }
   } else {
-    errors.push(`Color at ${path} must be a string or object`);
+    report(context, 'color/type', `Color at ${formatPath(path)} must be a string or object`, path, value);
   }
 }
 
+/**
+ * Checks if a dimension unit can be fixed by switching from em to rem
+ * Both are relative to a font size; rem assumes it is the root one
+ */
+function isRemFixable(unit, units) {
+  return unit === 'em' && !units.includes('em') && units.includes('rem');
+}
+
 /**
  * Validates a dimension value
- * Must have unit "px" or "rem" per spec
+ * Must have unit "px" or "rem" per spec; earlier drafts allow more units
+ * Strict mode only allows the object format
  */
-function validateDimensionValue(value, path, errors) {
+function validateDimensionValue(value, path, context) {
+  const units = SPEC_VERSIONS[context.spec].dimensionUnits;
+
+  if (context.strict && supports(context, 'dimension-object')) {
+    const dimension = isReference(value) ? null : toDimensionObject(value);
+    if (dimension) {
+      const fix = replaceWith(`Convert ${JSON.stringify(value)} to a dimension object`, path, value, dimension);
+      report(context, 'dimension/shorthand', `Dimension at ${formatPath(path)} must be a dimension object in strict mode: ${formatValue(dimension)}`, path, value, fix);
+      return;
+    }
+  }
+
   if (typeof value === 'string') {
     // String format: "16px", "1rem", etc.
-    if (!value.match(/^-?\d+(\.\d+)?(px|rem)$/) && !value.match(/^\{.+\}$/)) {
-      errors.push(`Dimension at ${path} must be a number with unit "px" or "rem" (e.g., "16px", "1rem") or a reference`);
+    const match = value.match(/^-?\d+(\.\d+)?([a-z%]*)$/);
+    if ((!match || !units.includes(match[2])) && !value.match(/^\{.+\}$/)) {
+      const allowed = match && match[2] ? allowedIn(profile => profile.dimensionUnits.includes(match[2])) : '';
+      const fix = match && isRemFixable(match[2], units)
+        ? replaceWith(`Convert "${value}" to rem`, path, value, value.replace(/em$/, 'rem'))
+        : undefined;
+      report(context, 'dimension/format', `Dimension at ${formatPath(path)} must be a number with unit ${formatUnits(units)} (e.g., "16px", "1rem") or a reference${allowed}`, path, value, fix);
     }
   } else if (typeof value === 'object' && value !== null) {
+    if (!supports(context, 'dimension-object')) {
+      reportUnsupported(context, 'dimension-object', path, value);
+      return;
+    }
+
     // Object format: { value: number, unit: "px" | "rem" }
     if (typeof value.value !== 'number') {
-      errors.push(`Dimension object at ${path} must have numeric value property`);
+      report(context, 'dimension/value', `Dimension object at ${formatPath(path)} must have numeric value property`, [...path, 'value'], value.value);
     }
-    if (value.unit !== 'px' && value.unit !== 'rem') {
-      errors.push(`Dimension unit at ${path} must be "px" or "rem"`);
+    if (!units.includes(value.unit)) {
+      const fix = isRemFixable(value.unit, units)
+        ? replaceWith(`Convert unit "em" to "rem"`, [...path, 'unit'], value.unit, 'rem')
+        : undefined;
+      report(context, 'dimension/unit', `Dimension unit at ${formatPath(path)} must be ${formatUnits(units)}`, [...path, 'unit'], value.unit, fix);
     }
   } else if (typeof value !== 'number') {
-    errors.push(`Dimension at ${path} must be a number, string with unit, or object with value/unit properties`);
+    report(context, 'dimension/type', `Dimension at ${formatPath(path)} must be a number, string with unit, or object with value/unit properties`, path, value);
   }
 }
 
 /**
  * Validates a duration value
  * Must have unit "ms" or "s"
+ * 2025.10 durations are objects, earlier drafts write them as strings ("200ms")
  */
-function validateDurationValue(value, path, errors) {
+function validateDurationValue(value, path, context) {
+  const units = SPEC_VERSIONS[context.spec].durationUnits;
+
   if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    if (!supports(context, 'duration-object')) {
+      reportUnsupported(context, 'duration-object', path, value);
+      return;
+    }
     if (typeof value.value !== 'number') {
-      errors.push(`Duration object at ${path} must have numeric value property`);
+      report(context, 'duration/value', `Duration object at ${formatPath(path)} must have numeric value property`, [...path, 'value'], value.value);
     }
-    if (value.unit !== 'ms' && value.unit !== 's') {
-      errors.push(`Duration unit at ${path} must be "ms" or "s"`);
+    if (!units.includes(value.unit)) {
+      report(context, 'duration/unit', `Duration unit at ${formatPath(path)} must be ${formatUnits(units)}`, [...path, 'unit'], value.unit);
     }
-  } else {
-    errors.push(`Duration at ${path} must be an object with value and unit properties`);
+    return;
+  }
+
+  // String format of earlier drafts: "200ms", "0.5s"
+  const match = typeof value === 'string' ? value.match(/^\d+(\.\d+)?([a-z]*)$/) : null;
+  if (!supports(context, 'duration-string')) {
+    const allowed = match ? allowedIn(profile => profile.features.includes('duration-string') && profile.durationUnits.includes(match[2])) : '';
+    report(context, 'duration/type', `Duration at ${formatPath(path)} must be an object with value and unit properties${allowed}`, path, value);
+  } else if (!match || !units.includes(match[2])) {
+    report(context, 'duration/format', `Duration at ${formatPath(path)} must be a number with unit ${formatUnits(units)} (e.g., "200ms")`, path, value);
   }
 }
 
@@ -264,24 +331,24 @@ function validateDurationValue(value, path, errors) {
  * Must be array of 4 numbers: [P1x, P1y, P2x, P2y]
  * P1x and P2x must be in range [0, 1]
  */
-function validateCubicBezierValue(value, path, errors) {
+function validateCubicBezierValue(value, path, context) {
   if (!Array.isArray(value) || value.length !== 4) {
-    errors.push(`cubicBezier at ${path} must be an array of exactly 4 numbers`);
+    report(context, 'cubicBezier/format', `cubicBezier at ${formatPath(path)} must be an array of exactly 4 numbers`, path, value);
     return;
   }
 
   value.forEach((num, idx) => {
     if (typeof num !== 'number') {
-      errors.push(`cubicBezier at ${path}[${idx}] must be a number`);
+      report(context, 'cubicBezier/component-type', `cubicBezier at ${formatPath([...path, idx])} must be a number`, [...path, idx], num);
     }
   });
 
   // X coordinates (indices 0 and 2) must be in [0, 1]
   if (typeof value[0] === 'number' && (value[0] < 0 || value[0] > 1)) {
-    errors.push(`cubicBezier at ${path}[0] (P1x) must be in range [0, 1]`);
+    report(context, 'cubicBezier/x-range', `cubicBezier at ${formatPath([...path, 0])} (P1x) must be in range [0, 1]`, [...path, 0], value[0]);
   }
   if (typeof value[2] === 'number' && (value[2] < 0 || value[2] > 1)) {
-    errors.push(`cubicBezier at ${path}[2] (P2x) must be in range [0, 1]`);
+    report(context, 'cubicBezier/x-range', `cubicBezier at ${formatPath([...path, 2])} (P2x) must be in range [0, 1]`, [...path, 2], value[2]);
   }
 }
 
@@ -289,26 +356,44 @@ function validateCubicBezierValue(value, path, errors) {
  * Validates a stroke style value
  * Can be string enum or object with dashArray and lineCap
  */
-function validateStrokeStyleValue(value, path, errors) {
+function validateStrokeStyleValue(value, path, context) {
   if (typeof value === 'string') {
     if (!STROKE_STYLE_VALUES.includes(value)) {
-      errors.push(`strokeStyle at ${path} must be one of: ${STROKE_STYLE_VALUES.join(', ')}`);
+      report(context, 'strokeStyle/keyword', `strokeStyle at ${formatPath(path)} must be one of: ${STROKE_STYLE_VALUES.join(', ')}`, path, value);
     }
   } else if (typeof value === 'object' && value !== null) {
     // Object format
-    if (!value.dashArray) {
-      errors.push(`strokeStyle object at ${path} must have dashArray property`);
+    if (!('dashArray' in value)) {
+      report(context, 'strokeStyle/dash-array', `strokeStyle object at ${formatPath(path)} must have dashArray property`, [...path, 'dashArray']);
     } else if (!Array.isArray(value.dashArray)) {
-      errors.push(`strokeStyle dashArray at ${path} must be an array`);
+      report(context, 'strokeStyle/dash-array', `strokeStyle dashArray at ${formatPath(path)} must be an array`, [...path, 'dashArray'], value.dashArray);
+    } else {
+      // Dash and gap lengths are dimensions; references are checked by validatePropertyReferences
+      value.dashArray.forEach((length, idx) => {
+        if (!isReference(length)) {
+          validateDimensionValue(length, [...path, 'dashArray', idx], context);
+        }
+      });
     }
 
-    if (!value.lineCap) {
-      errors.push(`strokeStyle object at ${path} must have lineCap property`);
+    if (!('lineCap' in value)) {
+      report(context, 'strokeStyle/line-cap', `strokeStyle object at ${formatPath(path)} must have lineCap property`, [...path, 'lineCap']);
     } else if (!['round', 'butt', 'square'].includes(value.lineCap)) {
-      errors.push(`strokeStyle lineCap at ${path} must be "round", "butt", or "square"`);
+      report(context, 'strokeStyle/line-cap', `strokeStyle lineCap at ${formatPath(path)} must be "round", "butt", or "square"`, [...path, 'lineCap'], value.lineCap);
     }
   } else {
-    errors.push(`strokeStyle at ${path} must be a string or object`);
+    report(context, 'strokeStyle/type', `strokeStyle at ${formatPath(path)} must be a string or object`, path, value);
+  }
+}
+
+/**
+ * Validates the properties of a composite value against their token types
+ * References are resolved and checked by validatePropertyReferences
+ */
+function validateCompositeProperties(value, type, path, context) {
+  for (const [property, propertyType] of Object.entries(compositeProperties(type, context))) {
+    if (!(property in value) || isReference(value[property])) continue;
+    validateValueOfType(propertyType, value[property], [...path, property], context);
   }
 }
 
@@ -316,46 +401,50 @@ function validateStrokeStyleValue(value, path, errors) {
  * Validates a border value
  * Must have color, width, and style properties
  */
-function validateBorderValue(value, path, errors) {
+function validateBorderValue(value, path, context) {
   if (typeof value !== 'object' || value === null) {
-    errors.push(`Border at ${path} must be an object`);
+    report(context, 'border/type', `Border at ${formatPath(path)} must be an object`, path, value);
     return;
   }
 
-  if (!value.color) {
-    errors.push(`Border at ${path} must have color property`);
+  if (!('color' in value)) {
+    report(context, 'border/missing-property', `Border at ${formatPath(path)} must have color property`, [...path, 'color']);
   }
 
-  if (!value.width) {
-    errors.push(`Border at ${path} must have width property`);
+  if (!('width' in value)) {
+    report(context, 'border/missing-property', `Border at ${formatPath(path)} must have width property`, [...path, 'width']);
   }
 
-  if (!value.style) {
-    errors.push(`Border at ${path} must have style property`);
+  if (!('style' in value)) {
+    report(context, 'border/missing-property', `Border at ${formatPath(path)} must have style property`, [...path, 'style']);
   }
+
+  validateCompositeProperties(value, 'border', path, context);
 }
 
 /**
  * Validates a transition value
  * Must have duration, delay, and timingFunction properties
  */
-function validateTransitionValue(value, path, errors) {
+function validateTransitionValue(value, path, context) {
   if (typeof value !== 'object' || value === null) {
-    errors.push(`Transition at ${path} must be an object`);
+    report(context, 'transition/type', `Transition at ${formatPath(path)} must be an object`, path, value);
     return;
   }
 
-  if (!value.duration) {
-    errors.push(`Transition at ${path} must have duration property`);
+  if (!('duration' in value)) {
+    report(context, 'transition/missing-property', `Transition at ${formatPath(path)} must have duration property`, [...path, 'duration']);
   }
 
-  if (!value.delay) {
-    errors.push(`Transition at ${path} must have delay property`);
+  if (!('delay' in value)) {
+    report(context, 'transition/missing-property', `Transition at ${formatPath(path)} must have delay property`, [...path, 'delay']);
   }
 
-  if (!value.timingFunction) {
-    errors.push(`Transition at ${path} must have timingFunction property`);
+  if (!('timingFunction' in value)) {
+    report(context, 'transition/missing-property', `Transition at ${formatPath(path)} must have timingFunction property`, [...path, 'timingFunction']);
   }
+
+  validateCompositeProperties(value, 'transition', path, context);
 }
 
 /**
@@ -364,30 +453,39 @@ function validateTransitionValue(value, path, errors) {
  * Each shadow must have: color, offsetX, offsetY, blur, spread
  * Optional: inset (boolean)
  */
-function validateShadowValue(value, path, errors) {
+function validateShadowValue(value, path, context) {
   const validateSingleShadow = (shadow, shadowPath) => {
     if (typeof shadow !== 'object' || shadow === null) {
-      errors.push(`Shadow at ${shadowPath} must be an object`);
+      report(context, 'shadow/type', `Shadow at ${formatPath(shadowPath)} must be an object`, shadowPath, shadow);
       return;
     }
 
     const required = ['offsetX', 'offsetY', 'blur', 'spread', 'color'];
     for (const field of required) {
       if (!(field in shadow)) {
-        errors.push(`Shadow at ${shadowPath} is missing required field: ${field}`);
+        // A missing spread defaults to 0, as in CSS
+        const fix = field === 'spread'
+          ? replaceWith('Add spread 0', [...shadowPath, field], undefined, supports(context, 'dimension-object') ? { value: 0, unit: 'px' } : '0px')
+          : undefined;
+        report(context, 'shadow/missing-property', `Shadow at ${formatPath(shadowPath)} is missing required field: ${field}`, [...shadowPath, field], undefined, fix);
       }
     }
 
     // inset is optional but must be boolean if present
     if (shadow.inset !== undefined && typeof shadow.inset !== 'boolean') {
-      errors.push(`Shadow inset property at ${shadowPath} must be a boolean`);
+      const fix = shadow.inset === 'true' || shadow.inset === 'false'
+        ? replaceWith(`Convert "${shadow.inset}" to a boolean`, [...shadowPath, 'inset'], shadow.inset, shadow.inset === 'true')
+        : undefined;
+      report(context, 'shadow/inset', `Shadow inset property at ${formatPath(shadowPath)} must be a boolean`, [...shadowPath, 'inset'], shadow.inset, fix);
     }
+
+    validateCompositeProperties(shadow, 'shadow', shadowPath, context);
   };
 
   if (Array.isArray(value)) {
     // Array of shadows
     value.forEach((shadow, idx) => {
-      validateSingleShadow(shadow, `${path}[${idx}]`);
+      validateSingleShadow(shadow, [...path, idx]);
     });
   } else {
     // Single shadow
@@ -400,26 +498,30 @@ function validateShadowValue(value, path, errors) {
  * Must be array of gradient stops
  * Each stop must have: color, position (number in [0, 1])
  */
-function validateGradientValue(value, path, errors) {
+function validateGradientValue(value, path, context) {
   if (!Array.isArray(value)) {
-    errors.push(`Gradient at ${path} must be an array of gradient stops`);
+    report(context, 'gradient/type', `Gradient at ${formatPath(path)} must be an array of gradient stops`, path, value);
     return;
   }
 
   value.forEach((stop, idx) => {
+    const stopPath = [...path, idx];
+
     if (typeof stop !== 'object' || stop === null) {
-      errors.push(`Gradient stop at ${path}[${idx}] must be an object`);
+      report(context, 'gradient/stop-type', `Gradient stop at ${formatPath(stopPath)} must be an object`, stopPath, stop);
       return;
     }
 
     if (!('color' in stop)) {
-      errors.push(`Gradient stop at ${path}[${idx}] must have color property`);
+      report(context, 'gradient/missing-property', `Gradient stop at ${formatPath(stopPath)} must have color property`, [...stopPath, 'color']);
+    } else if (!isReference(stop.color)) {
+      validateColorValue(stop.color, [...stopPath, 'color'], context);
     }
 
     if (!('position' in stop)) {
-      errors.push(`Gradient stop at ${path}[${idx}] must have position property`);
-    } else if (typeof stop.position !== 'number') {
-      errors.push(`Gradient stop position at ${path}[${idx}] must be a number`);
+      report(context, 'gradient/missing-property', `Gradient stop at ${formatPath(stopPath)} must have position property`, [...stopPath, 'position']);
+    } else if (typeof stop.position !== 'number' && !isReference(stop.position)) {
+      report(context, 'gradient/position', `Gradient stop position at ${formatPath(stopPath)} must be a number`, [...stopPath, 'position'], stop.position);
     }
   });
 }
@@ -428,9 +530,9 @@ function validateGradientValue(value, path, errors) {
  * Validates a typography value
  * Must have: fontFamily, fontSize, fontWeight, letterSpacing, lineHeight
  */
-function validateTypographyValue(value, path, errors, warnings) {
+function validateTypographyValue(value, path, context) {
   if (typeof value !== 'object' || value === null) {
-    errors.push(`Typography at ${path} must be an object`);
+    report(context, 'typography/type', `Typography at ${formatPath(path)} must be an object`, path, value);
     return;
   }
 
@@ -438,7 +540,7 @@ function validateTypographyValue(value, path, errors, warnings) {
   const required = ['fontFamily', 'fontSize', 'fontWeight', 'letterSpacing', 'lineHeight'];
   for (const field of required) {
     if (!(field in value)) {
-      errors.push(`Typography at ${path} is missing required field: ${field}`);
+      report(context, 'typography/missing-property', `Typography at ${formatPath(path)} is missing required field: ${field}`, [...path, field]);
     }
   }
 
@@ -446,17 +548,26 @@ function validateTypographyValue(value, path, errors, warnings) {
   const allowedFields = required;
   for (const field of Object.keys(value)) {
     if (!allowedFields.includes(field)) {
-      warnings.push(`Typography at ${path} has unknown field: ${field}`);
+      report(context, 'typography/unknown-property', `Typography at ${formatPath(path)} has unknown field: ${field}`, [...path, field], value[field]);
     }
   }
+  validateCompositeProperties(value, 'typography', path, context);
 }
 
 /**
- * Checks if a value is a reference (matches {path} syntax)
+ * Checks if a value is a reference: a curly brace alias ({path} syntax) or a
+ * JSON Pointer reference ({ "$ref": "#/path/$value" })
  * Note: {path} must have at least one character inside
  */
 function isReference(value) {
-  return typeof value === 'string' && /^\{.+\}$/.test(value);
+  return (typeof value === 'string' && /^\{.+\}$/.test(value)) || isPointerReference(value);
+}
+
+/**
+ * Checks if a value is a JSON Pointer reference object
+ */
+function isPointerReference(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && typeof value.$ref === 'string';
 }
 
 /**
@@ -467,93 +578,616 @@ function extractReferencePath(reference) {
   return reference.replace(/^\{|\}$/g, '');
 }
 
+/**
+ * Splits a reference into the path of the referenced token and the path of
+ * the property inside its value
+ * e.g., { "$ref": "#/shadow/card/$value/color" } => { tokenPath: "shadow.card", propertyPath: ["color"] }
+ * Returns null for pointers that are not valid local JSON Pointers into the
+ * $value of a token, e.g. "#/color/primary/$type"
+ */
+function parseReference(reference) {
+  if (typeof reference === 'string') {
+    return { tokenPath: extractReferencePath(reference), propertyPath: [] };
+  }
+
+  const segments = reference.$ref.startsWith('#') ? parseJsonPointer(reference.$ref) : null;
+  if (!segments || segments.length === 0) {
+    return null;
+  }
+
+  const valueIndex = segments.indexOf('$value');
+  const tokenLocation = segments.slice(0, valueIndex);
+  if (valueIndex <= 0 || !tokenLocation.every(isChildKey)) {
+    return null;
+  }
+  return { tokenPath: tokenLocation.join('.'), propertyPath: segments.slice(valueIndex + 1) };
+}
+
+/**
+ * Extracts the path of the group a $extends reference points to
+ * e.g., "{button.base}" or { "$ref": "#/button/base" } => "button.base"
+ * Returns null for pointers that are not valid local JSON Pointers to a group
+ */
+function parseGroupReference(reference) {
+  if (typeof reference === 'string') {
+    return extractReferencePath(reference);
+  }
+
+  const segments = reference.$ref.startsWith('#') ? parseJsonPointer(reference.$ref) : null;
+  if (!segments || segments.length === 0 || segments.some(segment => segment.startsWith('$'))) {
+    return null;
+  }
+  return segments.join('.');
+}
+
+/**
+ * Formats a reference for messages, e.g. "{color.primary}" or "#/color/primary/$value"
+ */
+function formatReference(reference) {
+  return typeof reference === 'string' ? reference : reference.$ref;
+}
+
+/**
+ * Types of the properties of a composite type, built-in or registered by a
+ * plugin, or null if the type is not composite
+ */
+function compositeProperties(type, context) {
+  return COMPOSITE_PROPERTY_TYPES[type] ?? context.types[type]?.properties ?? null;
+}
+
+/**
+ * Type of a property inside a value of the given type
+ * Items of shadow and gradient arrays keep the type of the array
+ */
+function propertyType(type, value, property, context) {
+  if (Array.isArray(value)) {
+    if (type === 'shadow' || type === 'gradient') return type;
+    return type === 'cubicBezier' ? 'number' : null;
+  }
+  return compositeProperties(type, context)?.[property] ?? null;
+}
+
+/**
+ * Checks if a value is a group: an object that is not a token
+ */
+function isGroup(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !('$value' in value);
+}
+
+/**
+ * Expands groups extending another group with $extends
+ * An extended group inherits the tokens, nested groups and $type of its base
+ * group, including a $type the base inherits from its ancestors; its own tokens and properties override the inherited ones, and
+ * nested groups are merged. Returns the expanded token tree, leaving the
+ * original untouched
+ */
+function expandGroups(tokens, context) {
+  const expanded = new Map();
+  const stack = [];
+
+  const expand = (group, path) => {
+    const key = path.join('.');
+    if (expanded.has(key)) {
+      return expanded.get(key);
+    }
+    stack.push(key);
+
+    let result = {};
+    if ('$extends' in group && !supports(context, 'group-extends')) {
+      reportUnsupported(context, 'group-extends', [...path, '$extends'], group.$extends, path);
+    } else if ('$extends' in group) {
+      const base = findBaseGroup(group.$extends, path);
+      if (base) {
+        result = structuredClone(expand(base.group, base.path));
+        // The base group may take its $type from its own ancestors
+        result.$type ??= ancestorType(base.path);
+      }
+    }
+
+    for (const [childKey, child] of Object.entries(group)) {
+      if (childKey === '$extends') continue;
+
+      if (!childKey.startsWith('$') && isGroup(child)) {
+        const expandedChild = expand(child, [...path, childKey]);
+        result[childKey] = isGroup(result[childKey]) ? mergeGroups(result[childKey], expandedChild) : expandedChild;
+      } else {
+        result[childKey] = child;
+      }
+    }
+
+    stack.pop();
+    expanded.set(key, result);
+    return result;
+  };
+
+  // Finds the $type a group at a path inherits from its nearest typed ancestor
+  const ancestorType = groupPath => {
+    for (let depth = groupPath.length - 1; depth >= 0; depth--) {
+      const type = getAtPointer(tokens, groupPath.slice(0, depth))?.$type;
+      if (type !== undefined) return type;
+    }
+    return undefined;
+  };
+
+  // Looks up the group referenced by $extends, reporting invalid, missing
+  // and circular references
+  const findBaseGroup = (reference, path) => {
+    const location = [...path, '$extends'];
+    const groupPath = isReference(reference) ? parseGroupReference(reference) : null;
+    if (!groupPath) {
+      report(context, 'extends/invalid', `$extends at ${formatPath(path)} must be a reference to a group, e.g. "{button.base}"`, location, reference);
+      return null;
+    }
+
+    const basePath = groupPath.split('.');
+    const group = getAtPointer(tokens, basePath);
+    if (group === undefined) {
+      report(context, 'extends/missing', `$extends at ${formatPath(path)} references non-existent group "${groupPath}"`, location, reference);
+      return null;
+    }
+    if (!isGroup(group)) {
+      report(context, 'extends/invalid', `$extends at ${formatPath(path)} must reference a group, but "${groupPath}" is a token`, location, reference);
+      return null;
+    }
+
+    const cycleStart = stack.indexOf(groupPath);
+    if (cycleStart !== -1) {
+      report(context, 'extends/circular', `Circular $extends detected: ${[...stack.slice(cycleStart), groupPath].join(' → ')} at ${formatPath(path)}`, location, reference);
+      return null;
+    }
+
+    return { group, path: basePath };
+  };
+
+  return expand(tokens, []);
+}
+
+/**
+ * Merges an expanded group into the group it overrides
+ * Nested groups are merged, tokens and properties replaced
+ */
+function mergeGroups(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    target[key] = !key.startsWith('$') && isGroup(target[key]) && isGroup(value)
+      ? mergeGroups(target[key], value)
+      : value;
+  }
+  return target;
+}
+
 /**
  * Builds a registry of all tokens in the document
- * Returns a Map where keys are paths and values are token objects
+ * Returns a Map where keys are paths and values are token objects, with the
+ * $type and $deprecated they inherit from their groups
  */
-function buildTokenRegistry(obj, path = '', registry = new Map(), parentType = null) {
+function buildTokenRegistry(obj, path = '', registry = new Map(), parentType = null, parentDeprecated = false) {
   for (const [key, value] of Object.entries(obj)) {
-    if (key.startsWith('$')) continue;
+    if (!isChildKey(key)) continue;
 
     const currentPath = path ? `${path}.${key}` : key;
 
     if (value && typeof value === 'object') {
+      const deprecated = '$deprecated' in value ? value.$deprecated : parentDeprecated;
+
       if ('$value' in value) {
         // This is a token - add to registry
         const tokenType = value.$type || parentType;
         registry.set(currentPath, {
           ...value,
           $type: tokenType,
+          $deprecated: deprecated,
           $path: currentPath
         });
-      } else {
+      } else if (key !== ROOT_TOKEN) {
         // This is a group - check for group-level $type
         const groupType = value.$type || parentType;
-        buildTokenRegistry(value, currentPath, registry, groupType);
+        buildTokenRegistry(value, currentPath, registry, groupType, deprecated);
       }
     }
   }
   return registry;
 }
 
+/**
+ * Builds the graph of references between tokens
+ * Nodes are token paths, or paths of properties inside a token value when a
+ * JSON Pointer references them or they hold a reference themselves (e.g.
+ * "shadow.card.color"). A property depends on the token or property
+ * containing it, as that may be an alias too
+ * Returns a Map of each node to its { location, reference, edges }
+ */
+function buildReferenceGraph(registry) {
+  const graph = new Map();
+
+  const addNode = (key, location) => {
+    if (!graph.has(key)) {
+      graph.set(key, { location, reference: undefined, edges: new Set() });
+    }
+    return graph.get(key);
+  };
+
+  const addReference = (node, reference) => {
+    const target = parseReference(reference);
+    if (!target) return;
+
+    const tokenLocation = target.tokenPath.split('.');
+    node.reference ??= reference;
+    node.edges.add([...tokenLocation, ...target.propertyPath].join('.'));
+
+    for (let i = target.propertyPath.length; i > 0; i--) {
+      const propertyPath = target.propertyPath.slice(0, i);
+      addNode([...tokenLocation, ...propertyPath].join('.'), [...tokenLocation, '$value', ...propertyPath])
+        .edges.add([...tokenLocation, ...propertyPath.slice(0, -1)].join('.'));
+    }
+  };
+
+  const addValue = (value, tokenPath, propertyPath) => {
+    if (isReference(value)) {
+      const tokenLocation = tokenPath.split('.');
+      addReference(addNode([...tokenLocation, ...propertyPath].join('.'), [...tokenLocation, '$value', ...propertyPath]), value);
+    } else if (typeof value === 'object' && value !== null) {
+      for (const [key, item] of Object.entries(value)) {
+        addValue(item, tokenPath, [...propertyPath, Array.isArray(value) ? Number(key) : key]);
+      }
+    }
+  };
+
+  for (const [tokenPath, token] of registry) {
+    addNode(tokenPath, [...tokenPath.split('.'), '$value']);
+    addValue(token.$value, tokenPath, []);
+  }
+
+  return graph;
+}
+
+/**
+ * Finds every reference cycle in the token registry
+ * Uses Tarjan's strongly connected components algorithm on the reference
+ * graph, so each cycle is found once however many tokens it contains
+ * Returns the cycles as { members, location, reference }, where `members` are
+ * the formatted paths in the cycle starting at the first one in document
+ * order, and `cyclicPaths`, a Set of all graph nodes in a cycle
+ */
+function findReferenceCycles(registry) {
+  const graph = buildReferenceGraph(registry);
+  const order = new Map([...graph.keys()].map((key, idx) => [key, idx]));
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  // Iterative, as alias chains in large systems can be deeper than the call stack
+  for (const root of graph.keys()) {
+    if (index.has(root)) continue;
+
+    const work = [{ key: root, edges: [...graph.get(root).edges].filter(edge => graph.has(edge)), next: 0 }];
+    index.set(root, counter);
+    lowLink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+
+      if (frame.next < frame.edges.length) {
+        const edge = frame.edges[frame.next++];
+        if (!index.has(edge)) {
+          index.set(edge, counter);
+          lowLink.set(edge, counter++);
+          stack.push(edge);
+          onStack.add(edge);
+          work.push({ key: edge, edges: [...graph.get(edge).edges].filter(next => graph.has(next)), next: 0 });
+        } else if (onStack.has(edge)) {
+          lowLink.set(frame.key, Math.min(lowLink.get(frame.key), index.get(edge)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].key;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.key)));
+      }
+
+      if (lowLink.get(frame.key) === index.get(frame.key)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.key);
+        components.push(component);
+      }
+    }
+  }
+
+  const cycles = components
+    .filter(component => component.length > 1 || graph.get(component[0]).edges.has(component[0]))
+    .map(component => {
+      const members = new Set(component);
+      const [first] = [...component].sort((a, b) => order.get(a) - order.get(b));
+
+      // Walk the cycle from its first member. Within a component every node
+      // has a single edge to another member (a token or property holds one
+      // reference), so the walk visits all members
+      const path = [first];
+      let next = [...graph.get(first).edges].find(edge => members.has(edge));
+      while (next !== first && !path.includes(next)) {
+        path.push(next);
+        next = [...graph.get(next).edges].find(edge => members.has(edge));
+      }
+
+      const { location, reference } = graph.get(first);
+      return { first, keys: component, members: path.map(key => formatPath(graph.get(key).location)), location, reference };
+    })
+    .sort((a, b) => order.get(a.first) - order.get(b.first));
+
+  return { cycles, cyclicPaths: new Set(cycles.flatMap(cycle => cycle.keys)) };
+}
+
+/**
+ * Sets up reference resolution on a validation context
+ * Cycles are found once for the whole registry and returned for reporting
+ */
+function prepareReferences(context, registry) {
+  const { cycles, cyclicPaths } = findReferenceCycles(registry);
+  context.registry = registry;
+  context.cyclicPaths = cyclicPaths;
+  context.resolutions = new Map();
+  return cycles;
+}
+
+/**
+ * Reports a reference cycle with all its members
+ */
+function reportCycle(context, cycle) {
+  const { members } = cycle;
+  report(context, 'reference/circular', `Circular reference detected: ${[...members, members[0]].join(' → ')}`, cycle.location, cycle.reference);
+}
+
+/**
+ * Result for references that are not a JSON Pointer to a token
+ */
+function invalidPointer(reference) {
+  return {
+    code: 'reference/invalid-pointer',
+    error: `Reference "${formatReference(reference)}" is not a valid JSON Pointer to a token`
+  };
+}
+
 /**
  * Resolves a reference to its final value
- * Returns { value, type, error } where error is set if resolution failed
+ * Both curly brace aliases and JSON Pointer references are followed. Results
+ * are memoised on the context, so every alias chain is walked only once
+ * Returns { value, type, path, deprecated } on success, or { code, error }
+ * with the rule code and message if resolution failed. References into a cycle found by
+ * findReferenceCycles fail with `inCycle` set, as the cycle is reported once
+ * on its own
  */
-function resolveReference(referencePath, registry, visitedPaths = new Set()) {
-  // Check for circular references
-  if (visitedPaths.has(referencePath)) {
+function resolveReference(reference, context) {
+  const target = parseReference(reference);
+  if (!target) {
+    return invalidPointer(reference);
+  }
+
+  resolveDependencies(target, context);
+  return resolveTarget(target, reference, context, new Set());
+}
+
+/**
+ * Resolves the references a reference depends on before the reference itself
+ * Dependencies are found with an explicit stack and resolved deepest first,
+ * so each resolution finds the next link of its chain memoised and alias
+ * chains of any depth or document order do not grow the call stack
+ */
+function resolveDependencies(root, context) {
+  if (!context.resolutions) return;
+
+  const keyOf = target => [target.tokenPath, ...target.propertyPath].join('.');
+  const references = new Map();
+  const visited = new Set();
+  const order = [];
+  const stack = [{ target: root, expanded: false }];
+
+  while (stack.length > 0) {
+    const frame = stack.pop();
+    const key = keyOf(frame.target);
+    if (frame.expanded) {
+      order.push(key);
+      continue;
+    }
+    if (frame.reference !== undefined && !references.has(key)) {
+      references.set(key, { target: frame.target, reference: frame.reference });
+    }
+    if (visited.has(key) || context.resolutions.has(key) || context.cyclicPaths?.has(key)) continue;
+    visited.add(key);
+    stack.push({ target: frame.target, expanded: true });
+
+    const token = context.registry.get(frame.target.tokenPath);
+    if (!token) continue;
+
+    // The first reference on the way into the value: followReference resolves
+    // it, then continues into its value with the remaining properties
+    let value = token.$value;
+    for (let idx = 0; ; idx++) {
+      if (isReference(value)) {
+        const next = parseReference(value);
+        if (next) {
+          const rest = frame.target.propertyPath.slice(idx);
+          stack.push({ target: next, reference: value, expanded: false });
+          if (rest.length > 0) {
+            stack.push({ target: { tokenPath: next.tokenPath, propertyPath: [...next.propertyPath, ...rest] }, expanded: false });
+          }
+        }
+        break;
+      }
+      const property = frame.target.propertyPath[idx];
+      if (idx === frame.target.propertyPath.length || typeof value !== 'object' || value === null || !Object.hasOwn(value, property)) break;
+      value = value[property];
+    }
+  }
+
+  for (const key of order) {
+    const dependency = references.get(key);
+    if (dependency && !context.resolutions.has(key)) {
+      resolveTarget(dependency.target, dependency.reference, context, new Set());
+    }
+  }
+}
+
+/**
+ * Resolves a reference nested in the value of another one
+ */
+function resolveNestedReference(reference, context, visitedPaths) {
+  const target = parseReference(reference);
+  return target ? resolveTarget(target, reference, context, visitedPaths) : invalidPointer(reference);
+}
+
+/**
+ * Resolves the token or property a reference targets
+ */
+function resolveTarget(target, reference, context, visitedPaths) {
+  const referencePath = [target.tokenPath, ...target.propertyPath].join('.');
+
+  if (context.cyclicPaths?.has(referencePath)) {
     return {
-      error: `Circular reference detected: ${Array.from(visitedPaths).join(' → ')} → ${referencePath}`
+      code: 'reference/circular',
+      error: `Reference "${formatReference(reference)}" leads into a circular reference`,
+      inCycle: true
     };
   }
 
   // Look up the token
-  const token = registry.get(referencePath);
+  const token = context.registry.get(target.tokenPath);
   if (!token) {
     return {
-      error: `Reference "{${referencePath}}" points to non-existent token`
+      code: 'reference/missing',
+      error: `Reference "${formatReference(reference)}" points to non-existent token`
+    };
+  }
+
+  if (context.resolutions?.has(referencePath)) {
+    return context.resolutions.get(referencePath);
+  }
+
+  // Guard against cycles not known in advance
+  if (visitedPaths.has(referencePath)) {
+    return {
+      code: 'reference/circular',
+      error: `Circular reference detected: ${Array.from(visitedPaths).join(' → ')} → ${referencePath}`
     };
   }
 
   // Mark this path as visited
   visitedPaths.add(referencePath);
+  const result = followReference(token, target, reference, context, visitedPaths);
+  context.resolutions?.set(referencePath, result);
+  return result;
+}
+
+/**
+ * Follows a reference from its target token into the referenced property,
+ * resolving any further references on the way
+ */
+function followReference(token, target, reference, context, visitedPaths) {
+  let value = token.$value;
+  let type = token.$type;
+  let resolvedPath = target.tokenPath;
+
+  // Deprecated tokens the resolution passes through, nearest first
+  const deprecated = token.$deprecated ? [{ path: target.tokenPath, reason: token.$deprecated }] : [];
 
   // Check if the token's value is itself a reference
-  if (isReference(token.$value)) {
-    const nextPath = extractReferencePath(token.$value);
-    return resolveReference(nextPath, registry, visitedPaths);
+  if (isReference(value)) {
+    const resolved = resolveNestedReference(value, context, visitedPaths);
+    if (resolved.error) {
+      return resolved;
+    }
+    ({ value, type } = resolved);
+    resolvedPath = resolved.path;
+    deprecated.push(...resolved.deprecated);
   }
 
-  // Return the resolved value and type
-  return {
-    value: token.$value,
-    type: token.$type
-  };
+  // Follow the pointer into the (resolved) value
+  for (const property of target.propertyPath) {
+    if (typeof value !== 'object' || value === null || !Object.hasOwn(value, property)) {
+      return {
+        code: 'reference/missing',
+        error: `Reference "${formatReference(reference)}" points to non-existent property of token ${target.tokenPath}`
+      };
+    }
+    type = propertyType(type, value, property, context);
+    value = value[property];
+    resolvedPath = formatPath([...resolvedPath.split('.'), property]);
+
+    if (isReference(value)) {
+      const resolved = resolveNestedReference(value, context, visitedPaths);
+      if (resolved.error) {
+        return resolved;
+      }
+      value = resolved.value;
+      type = resolved.type || type;
+      resolvedPath = resolved.path;
+      deprecated.push(...resolved.deprecated);
+    }
+  }
+
+  // Return the resolved value and type, the path of the token (or property)
+  // they come from and the deprecated tokens on the way
+  return { value, type, path: resolvedPath, deprecated };
+}
+
+/**
+ * Warns when a resolved reference passes through a deprecated token,
+ * quoting the nearest deprecation message
+ */
+function reportDeprecatedReference(context, reference, resolved, location) {
+  if (resolved.deprecated.length === 0) return;
+
+  const [{ path, reason }] = resolved.deprecated;
+  const explanation = typeof reason === 'string' ? `: ${reason}` : '';
+  report(context, 'reference/deprecated', `Reference "${formatReference(reference)}" at ${formatPath(location)} uses deprecated token ${path}${explanation}`, location, reference);
 }
 
 /**
  * Validates a token value based on its type
  */
-function validateTokenValue(token, path, errors, warnings, registry = null) {
-  let type = token.$type;
+function validateTokenValue(token, path, context, parentType = null) {
+  let type = token.$type || parentType;
 
   // Check for missing $value first
   if (!('$value' in token)) {
-    errors.push(`Token at ${path} is missing $value`);
+    report(context, 'token/missing-value', `Token at ${formatPath(path)} is missing $value`, path);
     return;
   }
 
   let value = token.$value;
+  const valuePath = [...path, '$value'];
 
   // Check if value is a reference
+  if (isPointerReference(value) && !supports(context, 'pointer-reference')) {
+    reportUnsupported(context, 'pointer-reference', valuePath, value);
+    return;
+  }
   if (isReference(value)) {
-    if (registry) {
-      const referencePath = extractReferencePath(value);
-      const resolved = resolveReference(referencePath, registry);
+    if (context.registry) {
+      const resolved = resolveReference(value, context);
 
       if (resolved.error) {
-        errors.push(`${resolved.error} at ${path}`);
+        if (!resolved.inCycle) {
+          report(context, resolved.code, `${resolved.error} at ${formatPath(path)}`, valuePath, value);
+        }
+        return;
+      }
+
+      reportDeprecatedReference(context, value, resolved, valuePath);
+
+      // The declared (or group) type must match the type of the aliased token
+      if (type && resolved.type && type !== resolved.type) {
+        report(context, 'reference/type-mismatch', `${type} token at ${formatPath(path)} aliases a ${resolved.type} token at ${resolved.path}`, valuePath, value);
         return;
       }
 
@@ -569,102 +1203,342 @@ function validateTokenValue(token, path, errors, warnings, registry = null) {
   }
 
   // Check for unknown $type
-  if (type && !VALID_TOKEN_TYPES.includes(type)) {
-    warnings.push(`Unknown $type "${type}" at ${path}`);
+  if (type && !VALID_TOKEN_TYPES.includes(type) && !Object.hasOwn(context.types, type)) {
+    report(context, 'token/unknown-type', `Unknown $type "${type}" at ${formatPath(path)}`, [...path, '$type'], type);
   }
 
   if (!type) {
-    errors.push(`Token at ${path} has no determinable type (no $type property or group type)`);
+    report(context, 'token/missing-type', `Token at ${formatPath(path)} has no determinable type (no $type property or group type)`, path);
     return;
   }
 
-  // Type-specific validation
+  validateValueOfType(type, value, valuePath, context);
+
+  // Properties of an aliased value are checked on the token defining them
+  if (!isReference(token.$value)) {
+    validatePropertyReferences(value, type, valuePath, context);
+  }
+}
+
+/**
+ * Validates a value against the rules of a token type
+ */
+function validateValueOfType(type, value, valuePath, context) {
   switch (type) {
     case 'color':
-      validateColorValue(value, path, errors, warnings);
+      validateColorValue(value, valuePath, context);
       break;
     case 'dimension':
-      validateDimensionValue(value, path, errors);
+      validateDimensionValue(value, valuePath, context);
       break;
     case 'fontFamily':
       if (typeof value !== 'string' && !Array.isArray(value)) {
-        errors.push(`fontFamily at ${path} must be a string or array`);
+        report(context, 'fontFamily/type', `fontFamily at ${formatPath(valuePath)} must be a string or array`, valuePath, value);
       }
       break;
     case 'fontWeight':
       if (typeof value === 'number') {
         if (value < 1 || value > 1000) {
-          errors.push(`fontWeight at ${path} must be a number between 1-1000`);
+          report(context, 'fontWeight/range', `fontWeight at ${formatPath(valuePath)} must be a number between 1-1000`, valuePath, value);
         }
       } else if (typeof value === 'string') {
-        if (!FONT_WEIGHT_ALIASES.hasOwnProperty(value)) {
-          errors.push(`fontWeight at ${path} must be a valid weight alias (e.g., "bold", "normal") or a number between 1-1000`);
+        if (!Object.hasOwn(FONT_WEIGHT_ALIASES, value)) {
+          report(context, 'fontWeight/alias', `fontWeight at ${formatPath(valuePath)} must be a valid weight alias (e.g., "bold", "normal") or a number between 1-1000`, valuePath, value);
         }
       } else {
-        errors.push(`fontWeight at ${path} must be a number or string`);
+        report(context, 'fontWeight/type', `fontWeight at ${formatPath(valuePath)} must be a number or string`, valuePath, value);
       }
       break;
     case 'duration':
-      validateDurationValue(value, path, errors);
+      validateDurationValue(value, valuePath, context);
       break;
     case 'cubicBezier':
-      validateCubicBezierValue(value, path, errors);
+      validateCubicBezierValue(value, valuePath, context);
       break;
     case 'number':
       if (typeof value !== 'number') {
-        errors.push(`number at ${path} must be a number`);
+        report(context, 'number/type', `number at ${formatPath(valuePath)} must be a number`, valuePath, value);
       }
       break;
     case 'strokeStyle':
-      validateStrokeStyleValue(value, path, errors);
+      validateStrokeStyleValue(value, valuePath, context);
       break;
     case 'border':
-      validateBorderValue(value, path, errors);
+      validateBorderValue(value, valuePath, context);
       break;
     case 'transition':
-      validateTransitionValue(value, path, errors);
+      validateTransitionValue(value, valuePath, context);
       break;
     case 'shadow':
-      validateShadowValue(value, path, errors);
+      validateShadowValue(value, valuePath, context);
       break;
     case 'gradient':
-      validateGradientValue(value, path, errors);
+      validateGradientValue(value, valuePath, context);
       break;
     case 'typography':
-      validateTypographyValue(value, path, errors, warnings);
+      validateTypographyValue(value, valuePath, context);
       break;
+    default:
+      if (Object.hasOwn(context.types, type)) {
+        validateCustomValue(type, value, valuePath, context);
+      }
+  }
+}
+
+/**
+ * Validates a value of a token type registered by a plugin
+ * Values of composite types must be objects, and their properties are
+ * validated against their own types. Problems found by the type's validate
+ * function are reported as "<type> at <path> <problem>"
+ */
+function validateCustomValue(type, value, path, context) {
+  const definition = context.types[type];
+
+  if (definition.properties) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      report(context, 'custom-type/value', `${type} at ${formatPath(path)} must be an object`, path, value);
+      return;
+    }
+    validateCompositeProperties(value, type, path, context);
   }
+
+  definition.validate?.(value, (problem, { valuePath = [] } = {}) => {
+    const location = [...path, ...valuePath];
+    report(context, 'custom-type/value', `${type} at ${formatPath(location)} ${problem}`, location, getAtPointer(value, valuePath));
+  });
+}
+
+/**
+ * Checks if a plugin allows its custom type for a property of a built-in
+ * composite type with the `composites` option, e.g. ['shadow.color']
+ */
+function acceptsCustomType(type, property, customType, context) {
+  const composites = context.types[customType]?.composites;
+  return Array.isArray(composites) && composites.includes(`${type}.${property}`);
+}
+
+/**
+ * Resolves a reference used inside a composite value, reporting references
+ * that cannot be resolved and deprecated tokens
+ * Returns the resolved token, or null
+ */
+function resolvePropertyReference(reference, location, context) {
+  if (isPointerReference(reference) && !supports(context, 'pointer-reference')) {
+    reportUnsupported(context, 'pointer-reference', location, reference);
+    return null;
+  }
+
+  const resolved = resolveReference(reference, context);
+  if (resolved.error) {
+    if (!resolved.inCycle) {
+      report(context, resolved.code, `${resolved.error} at ${formatPath(location)}`, location, reference);
+    }
+    return null;
+  }
+
+  reportDeprecatedReference(context, reference, resolved, location);
+  return resolved;
+}
+
+/**
+ * Resolves references used as properties of a composite value and checks the
+ * resolved value against the type of that property
+ * e.g. { "color": "{color.primary}" } or
+ * { "color": { "$ref": "#/color/primary/$value" } } inside a border
+ * Lengths of a strokeStyle dashArray may reference dimension tokens
+ */
+function validatePropertyReferences(value, type, valuePath, context) {
+  if (Array.isArray(value) && (type === 'shadow' || type === 'gradient')) {
+    value.forEach((item, idx) => validatePropertyReferences(item, type, [...valuePath, idx], context));
+    return;
+  }
+  if (type === 'strokeStyle') {
+    validateDashArrayReferences(value, valuePath, context);
+    return;
+  }
+  const properties = compositeProperties(type, context);
+  if (!context.registry || !properties || typeof value !== 'object' || value === null) {
+    return;
+  }
+
+  for (const [property, propertyValue] of Object.entries(value)) {
+    const propertyPath = [...valuePath, property];
+    const expectedType = properties[property];
+    if (!isReference(propertyValue)) {
+      // Composite properties may hold references themselves, e.g. a border style
+      if (expectedType) {
+        validatePropertyReferences(propertyValue, expectedType, propertyPath, context);
+      }
+      continue;
+    }
+
+    const resolved = resolvePropertyReference(propertyValue, propertyPath, context);
+    if (!resolved || !expectedType) continue;
+
+    if (resolved.type && resolved.type !== expectedType && acceptsCustomType(type, property, resolved.type, context)) {
+      validateValueOfType(resolved.type, resolved.value, propertyPath, context);
+    } else if (resolved.type && resolved.type !== expectedType) {
+      report(context, 'reference/type-mismatch', `Reference "${formatReference(propertyValue)}" at ${formatPath(propertyPath)} resolves to a ${resolved.type} token, but ${property} must be a ${expectedType}`, propertyPath, propertyValue);
+    } else {
+      validateValueOfType(expectedType, resolved.value, propertyPath, context);
+    }
+  }
+}
+
+/**
+ * Resolves the references in the dashArray of a strokeStyle value and checks
+ * that they are dimensions
+ */
+function validateDashArrayReferences(value, valuePath, context) {
+  if (!context.registry || !Array.isArray(value?.dashArray)) {
+    return;
+  }
+
+  value.dashArray.forEach((length, idx) => {
+    if (!isReference(length)) return;
+
+    const location = [...valuePath, 'dashArray', idx];
+    const resolved = resolvePropertyReference(length, location, context);
+    if (!resolved) return;
+
+    if (resolved.type && resolved.type !== 'dimension') {
+      report(context, 'reference/type-mismatch', `Reference "${formatReference(length)}" at ${formatPath(location)} resolves to a ${resolved.type} token, but dashArray lengths must be dimensions`, location, length);
+    } else {
+      validateDimensionValue(resolved.value, location, context);
+    }
+  });
+}
+
+/**
+ * Validates the $-prefixed properties of a token or group
+ * $description must be a string, $deprecated a boolean or an explanation
+ * string, and $extensions an object keyed by vendor namespaces. Other
+ * $-prefixed names are reserved, so they are reported with the closest
+ * allowed property as suggestion
+ */
+function validateReservedProperties(node, path, context, allowed) {
+  for (const [key, value] of Object.entries(node)) {
+    if (!key.startsWith('$')) continue;
+    const location = [...path, key];
+
+    if (!allowed.includes(key)) {
+      const closest = findClosest(key, allowed);
+      report(context, 'property/unknown', `Unknown property "${key}" at ${formatPath(path) || 'root'}${closest ? `. Did you mean "${closest}"?` : ''}`, location, value);
+      continue;
+    }
+
+    if (key === '$description' && typeof value !== 'string') {
+      report(context, 'description/type', `$description at ${formatPath(path) || 'root'} must be a string`, location, value);
+    } else if (key === '$deprecated' && typeof value !== 'boolean' && typeof value !== 'string') {
+      report(context, 'deprecated/type', `$deprecated at ${formatPath(path) || 'root'} must be a boolean or a string explaining the deprecation`, location, value);
+    } else if (key === '$extensions') {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        report(context, 'extensions/type', `$extensions at ${formatPath(path) || 'root'} must be an object`, location, value);
+        continue;
+      }
+      for (const namespace of Object.keys(value)) {
+        if (!/^[^.\s]+(\.[^.\s]+)+$/.test(namespace)) {
+          report(context, 'extensions/namespace', `$extensions key "${namespace}" at ${formatPath(path) || 'root'} should be a vendor namespace in reverse domain notation (e.g., "com.example.tool")`, [...location, namespace], value[namespace]);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Runs the rules added by plugins on a token
+ * Rules see the value and type of the token an alias resolves to, the
+ * groups containing the token from the outermost one, and the registry of
+ * all tokens. Unresolvable aliases are already reported, so they are skipped
+ */
+function checkPluginRules(token, path, context, parentType) {
+  if (Object.keys(context.pluginRules).length === 0) {
+    return;
+  }
+
+  let value = token.$value;
+  let type = token.$type || parentType;
+  if (isReference(value)) {
+    const resolved = context.registry ? resolveReference(value, context) : { error: true };
+    if (resolved.error) {
+      return;
+    }
+    value = resolved.value;
+    type = type || resolved.type;
+  }
+
+  runPluginRules(context.pluginRules, {
+    path,
+    name: path.join('.'),
+    value,
+    type,
+    token,
+    groups: path.slice(0, -1).map((_, idx) => getAtPointer(context.tokens, path.slice(0, idx + 1))),
+    registry: context.registry
+  }, context.diagnostics);
+}
+
+/**
+ * Checks if an object has a misspelled $value, e.g. "$vlaue", so it is a
+ * token even when it takes its $type from its group
+ */
+function misspellsValue(node) {
+  return Object.keys(node).some(key => key.startsWith('$') && !GROUP_PROPERTIES.includes(key) && findClosest(key, ['$value']) === '$value');
 }
 
 /**
  * Recursively validates tokens in an object
  */
-function validateToken(obj, path, errors, warnings, registry = null, parentType = null) {
+function validateToken(obj, path, context, parentType = null) {
+  // Properties of the group itself, as written in the source
+  const source = context.source ? getAtPointer(context.source, path) : obj;
+  validateReservedProperties(source, path, context, path.length === 0 ? ROOT_PROPERTIES : GROUP_PROPERTIES);
+
   for (const [key, value] of Object.entries(obj)) {
-    const currentPath = path ? `${path}.${key}` : key;
+    const currentPath = [...path, key];
 
     // Skip special keys
-    if (key.startsWith('$')) {
+    if (!isChildKey(key)) {
+      continue;
+    }
+
+    // Inherited through $extends - already validated where it is defined
+    if (context.source && getAtPointer(context.source, currentPath) === undefined) {
       continue;
     }
 
     // Check for invalid characters in token names
     if (/[{}."]/.test(key)) {
-      errors.push(`Token name "${key}" at ${currentPath} contains invalid characters ({, }, ., or ")`);
+      // Dotted names become nested groups, e.g. "size.small" => size > small
+      const segments = key.split('.');
+      const fix = !/[{}"]/.test(key) && !segments.some(segment => segment === '' || segment.startsWith('$'))
+        ? { description: `Move "${key}" into nested groups ${segments.join(' > ')}`, edits: [{ location: currentPath, to: [...path, ...segments] }] }
+        : undefined;
+      report(context, 'naming/invalid-characters', `Token name "${key}" at ${formatPath(currentPath)} contains invalid characters ({, }, ., or ")`, currentPath, key, fix);
+    }
+
+    // $root is always a token, never a group
+    if (key === ROOT_TOKEN && !(value && typeof value === 'object' && '$value' in value)) {
+      report(context, 'token/missing-value', `Token at ${formatPath(currentPath)} is missing $value`, currentPath, value);
+      continue;
     }
 
     // Check if this is a token (has $value) or a group
     if (value && typeof value === 'object') {
       if ('$value' in value) {
         // This is a token - validate it
-        validateTokenValue(value, currentPath, errors, warnings, registry);
-      } else if ('$type' in value && Object.keys(value).filter(k => !k.startsWith('$')).length === 0) {
-        // Object has $type but no $value and no child tokens/groups - invalid token
-        errors.push(`Token at ${currentPath} is missing $value`);
+        validateReservedProperties(value, currentPath, context, TOKEN_PROPERTIES);
+        validateTokenValue(value, currentPath, context, parentType);
+        checkPluginRules(value, currentPath, context, parentType);
+      } else if (('$type' in value || misspellsValue(value)) && Object.keys(value).filter(isChildKey).length === 0) {
+        // Object has $type or a misspelled $value but no $value and no child
+        // tokens/groups - invalid token
+        report(context, 'token/missing-value', `Token at ${formatPath(currentPath)} is missing $value`, currentPath);
+        validateReservedProperties(value, currentPath, context, TOKEN_PROPERTIES);
       } else {
         // This is a group - check for group-level $type
         const groupType = value.$type || parentType;
-        validateToken(value, currentPath, errors, warnings, registry, groupType);
+        validateToken(value, currentPath, context, groupType);
       }
     }
   }
@@ -673,13 +1547,13 @@ function validateToken(obj, path, errors, warnings, registry = null, parentType
 /**
  * Counts the total number of tokens in a token tree
  */
-function countTokens(obj, count = 0) {
+export function countTokens(obj, count = 0) {
   for (const [key, value] of Object.entries(obj)) {
-    if (key.startsWith('$')) continue;
+    if (!isChildKey(key)) continue;
     if (value && typeof value === 'object') {
       if ('$value' in value) {
         count++;
-      } else {
+      } else if (key !== ROOT_TOKEN) {
         count = countTokens(value, count);
       }
     }
@@ -688,78 +1562,251 @@ function countTokens(obj, count = 0) {
 }
 
 /**
- * Validates a design tokens JSON string against the W3C DTCG specification
+ * Sets the source range of each diagnostic without one from the parsed document
+ * Diagnostics about a token or group point at its name, all others at the
+ * offending value
+ */
+function attachRanges(diagnostics, ast) {
+  for (const diagnostic of diagnostics.filter(d => d.range === null)) {
+    const location = [...diagnostic.path, ...diagnostic.valuePath];
+    diagnostic.range = findRange(ast, location, diagnostic.valuePath.length === 0);
+  }
+}
+
+/**
+ * Parses a design tokens JSON string
+ * Returns { tokens, ast }, or { diagnostic } if it is empty or not valid JSON
  */
-export function validateTokens(jsonString) {
+function parseTokenDocument(jsonString) {
   if (!jsonString || typeof jsonString !== 'string' || !jsonString.trim()) {
-    return { valid: false, errors: ['Input is empty'] };
+    return { diagnostic: createDiagnostic('document/empty', 'Input is empty') };
   }
 
-  try {
-    const tokens = JSON.parse(jsonString);
-    const errors = [];
-    const warnings = [];
+  const parsed = parseJson(jsonString);
+  if (parsed.error) {
+    const { message, range } = parsed.error;
+    const diagnostic = createDiagnostic('json/syntax', `Invalid JSON: ${message} at line ${range.start.line}, column ${range.start.column}`);
+    diagnostic.range = range;
+    return { diagnostic };
+  }
+
+  return { tokens: parsed.value, ast: parsed.ast };
+}
 
-    // Validate root structure
-    if (typeof tokens !== 'object' || tokens === null || Array.isArray(tokens)) {
-      return { valid: false, errors: ['Root must be an object'] };
+/**
+ * Validates a design tokens JSON string against the W3C DTCG specification
+ * Diagnostics carry the line and column range of the offending key or value
+ *
+ * @param {string} jsonString - The design tokens document
+ * @param {object} [options]
+ * @param {string} [options.spec] - Spec version to validate against, a key of
+ *   SPEC_VERSIONS such as '2025.10' (default) or 'draft-2023'
+ * @param {boolean} [options.strict] - Reject the string and number shorthands
+ *   of colors and dimensions where the spec version defines an object form
+ * @param {object} [options.rules] - Severity per rule code: "off", "info",
+ *   "warning" or "error", e.g. { 'color/hex-format': 'off' }
+ * @param {string} [options.preset] - Named set of options the others
+ *   override: "recommended" (default) or "strict"
+ * @param {object[]} [options.plugins] - Plugins adding custom rules and
+ *   token types, see plugins.js
+ */
+export function validateTokens(jsonString, options = {}) {
+  const resolved = resolveOptions(options);
+  const parsed = parseTokenDocument(jsonString);
+  if (parsed.diagnostic) {
+    return finishValidation([parsed.diagnostic], [], resolved);
+  }
+
+  const { diagnostics, tokenCount } = validateDocument(parsed.tokens, resolved);
+  return finishValidation([...reportDuplicateKeys(parsed.ast), ...diagnostics], [parsed], resolved, tokenCount);
+}
+
+/**
+ * Validates design tokens split across several files
+ * All files share one token registry, so references may point at tokens
+ * defined in any of them. Every diagnostic names the `file` it was found in
+ *
+ * @param {object} files - Map of file names to JSON strings,
+ *   e.g. { 'core.json': '...', 'semantic.json': '...' }
+ * @param {object} [options] - Same as for validateTokens
+ */
+export function validateTokenFiles(files, options = {}) {
+  const resolved = resolveOptions(options);
+  const { spec, strict, pluginRules, types } = resolved;
+  const diagnostics = [];
+  const documents = [];
+
+  const reportInFile = (file, fileDiagnostics) => {
+    for (const diagnostic of fileDiagnostics) {
+      diagnostics.push({ ...diagnostic, file });
     }
+  };
+
+  for (const [file, jsonString] of Object.entries(files)) {
+    const parsed = parseTokenDocument(jsonString);
+    if (parsed.diagnostic) {
+      reportInFile(file, [parsed.diagnostic]);
+      continue;
+    }
+    if (typeof parsed.tokens !== 'object' || parsed.tokens === null || Array.isArray(parsed.tokens)) {
+      const diagnostic = createDiagnostic('document/root-type', 'Root must be an object', [], parsed.tokens);
+      diagnostic.range = parsed.ast.range;
+      reportInFile(file, [diagnostic]);
+      continue;
+    }
+    reportInFile(file, reportDuplicateKeys(parsed.ast));
+    documents.push({ file, ...parsed });
+  }
 
-    // Build token registry for reference resolution
-    const registry = buildTokenRegistry(tokens);
+  // Merge the registries of all files, reporting tokens defined in more than one
+  const registry = new Map();
+  const definedIn = new Map();
+  const owners = new Map();
+  for (const document of documents) {
+    document.context = { diagnostics: [], source: document.tokens, spec, strict, pluginRules, types };
+    document.expandedTokens = expandGroups(document.tokens, document.context);
+    document.context.tokens = document.expandedTokens;
+
+    for (const [tokenPath, token] of buildTokenRegistry(document.expandedTokens)) {
+      const location = tokenPath.split('.');
+      const first = definedIn.get(tokenPath);
+      if (first) {
+        const diagnostic = createDiagnostic(
+          'token/conflicting-definition',
+          `Token at ${tokenPath} is defined in both "${first.file}" and "${document.file}"`,
+          location
+        );
+        diagnostic.range = findRange(document.ast, location, true);
+        diagnostic.related = [{ message: `First definition in "${first.file}"`, file: first.file, range: findRange(first.ast, location, true) }];
+        reportInFile(document.file, [diagnostic]);
+      } else {
+        definedIn.set(tokenPath, document);
+      }
+      registry.set(tokenPath, token);
+      owners.set(tokenPath, document);
+    }
+  }
 
-    // Run validation
-    validateToken(tokens, '', errors, warnings, registry);
+  // Report each reference cycle in the file defining its first member
+  const shared = {};
+  const cycles = prepareReferences(shared, registry);
+  for (const cycle of cycles) {
+    const tokenPath = cycle.location.slice(0, cycle.location.indexOf('$value')).join('.');
+    reportCycle(owners.get(tokenPath).context, cycle);
+  }
 
-    return {
-      valid: errors.length === 0,
-      errors,
-      warnings,
-      tokenCount: countTokens(tokens)
-    };
-  } catch (error) {
-    return {
-      valid: false,
-      errors: [`Invalid JSON: ${error.message}`]
-    };
+  let tokenCount = 0;
+  for (const document of documents) {
+    const { context } = document;
+    Object.assign(context, shared);
+    validateToken(document.expandedTokens, [], context);
+    reportInFile(document.file, context.diagnostics);
+    tokenCount += countTokens(document.tokens);
   }
+
+  return finishValidation(diagnostics, documents, resolved, tokenCount);
 }
 
 /**
- * Validates a design tokens object (already parsed) against the W3C DTCG specification
+ * Reports keys defined more than once in the same object
+ * Each diagnostic points at the repeated key and relates it to the first one
+ */
+function reportDuplicateKeys(ast) {
+  return findDuplicateKeys(ast).map(({ location, key, firstRange, range }) => {
+    const { line, column } = firstRange.start;
+    const diagnostic = createDiagnostic(
+      'json/duplicate-key',
+      `Duplicate key "${key}" at ${formatPath(location)} (first defined at line ${line}, column ${column})`,
+      location,
+      key
+    );
+    diagnostic.range = range;
+    diagnostic.related = [{ message: `First definition of "${key}"`, range: firstRange }];
+    return diagnostic;
+  });
+}
+
+/**
+ * Builds the result of a validation
+ * Diagnostics suppressed by the validated documents are listed separately,
+ * then the configured severities are applied. Diagnostics without a range
+ * get one from the AST of their document, if it was parsed from JSON
+ *
+ * @param {object[]} documents - { tokens, ast, file } of each document
  */
-export function validateTokensObject(tokens) {
-  if (!tokens) {
-    return { valid: false, errors: ['Input is empty'] };
+function finishValidation(diagnostics, documents, options, tokenCount = 0) {
+  const { diagnostics: reported, suppressed } = suppressDiagnostics(diagnostics, documents, { ...RULES, ...options.pluginRules });
+
+  for (const document of documents.filter(d => d.ast)) {
+    attachRanges([...reported, ...suppressed].filter(d => d.file === document.file), document.ast);
   }
 
-  const errors = [];
-  const warnings = [];
+  return createResult(applyRuleSeverities(reported, options.rules), tokenCount, applyRuleSeverities(suppressed, options.rules));
+}
+
+/**
+ * Validates a design tokens object (already parsed) against the W3C DTCG specification
+ *
+ * @param {object} tokens - The parsed design tokens document
+ * @param {object} [options] - Same as for validateTokens
+ */
+export function validateTokensObject(tokens, options = {}) {
+  const resolved = resolveOptions(options);
+  const { diagnostics, tokenCount } = validateDocument(tokens, resolved);
+  return finishValidation(diagnostics, [{ tokens }], resolved, tokenCount);
+}
+
+/**
+ * Validates a parsed token document with resolved options
+ * Returns { diagnostics, tokenCount }, before suppressions and configured
+ * severities are applied
+ */
+function validateDocument(tokens, { spec, strict, pluginRules, types }) {
+  if (tokens === null || tokens === undefined) {
+    return { diagnostics: [createDiagnostic('document/empty', 'Input is empty')], tokenCount: 0 };
+  }
 
   // Validate root structure
-  if (typeof tokens !== 'object' || tokens === null || Array.isArray(tokens)) {
-    return { valid: false, errors: ['Root must be an object'] };
+  if (typeof tokens !== 'object' || Array.isArray(tokens)) {
+    return { diagnostics: [createDiagnostic('document/root-type', 'Root must be an object', [], tokens)], tokenCount: 0 };
   }
 
-  // Build token registry for reference resolution
-  const registry = buildTokenRegistry(tokens);
+  const context = {
+    diagnostics: [],
+    source: tokens,
+    spec,
+    strict,
+    pluginRules,
+    types
+  };
+
+  // Build token registry for reference resolution, including tokens
+  // inherited through $extends
+  const expandedTokens = expandGroups(tokens, context);
+  context.tokens = expandedTokens;
+  const cycles = prepareReferences(context, buildTokenRegistry(expandedTokens));
+  for (const cycle of cycles) {
+    reportCycle(context, cycle);
+  }
 
   // Run validation
-  validateToken(tokens, '', errors, warnings, registry);
+  validateToken(expandedTokens, [], context);
 
-  return {
-    valid: errors.length === 0,
-    errors,
-    warnings,
-    tokenCount: countTokens(tokens)
-  };
+  return { diagnostics: context.diagnostics, tokenCount: countTokens(tokens) };
 }
 
+
 /**
  * Analyzes validation errors and provides detailed insights with suggestions
+ * Category, details, suggestion and spec link come from the rule that
+ * produced each diagnostic. Pass the `plugins` used for validation to explain
+ * the diagnostics of their rules
  */
-export function analyzeErrors(validationResult) {
-  if (!validationResult.errors || validationResult.errors.length === 0) {
+export function analyzeErrors(validationResult, options = {}) {
+  const rules = { ...RULES, ...collectPluginRules(options.plugins) };
+  const errors = (validationResult.diagnostics || []).filter(diagnostic => diagnostic.severity === 'error');
+
+  if (errors.length === 0) {
     return {
       ...validationResult,
       analysis: {
@@ -782,8 +1829,8 @@ export function analyzeErrors(validationResult) {
   };
 
   // Analyze each error
-  validationResult.errors.forEach((error, index) => {
-    const analyzed = analyzeError(error, index + 1);
+  errors.forEach((diagnostic, index) => {
+    const analyzed = analyzeError(diagnostic, index + 1, rules);
     analysis.categories[analyzed.category].push(analyzed);
     if (analyzed.suggestion) {
       analysis.suggestions.push(analyzed.suggestion);
@@ -792,11 +1839,11 @@ export function analyzeErrors(validationResult) {
 
   // Create summary
   const errorCounts = Object.entries(analysis.categories)
-    .filter(([_, errors]) => errors.length > 0)
-    .map(([category, errors]) => `${errors.length} ${category}`)
+    .filter(([, categoryErrors]) => categoryErrors.length > 0)
+    .map(([category, categoryErrors]) => `${categoryErrors.length} ${category}`)
     .join(', ');
 
-  analysis.summary = `Found ${validationResult.errors.length} error(s): ${errorCounts}`;
+  analysis.summary = `Found ${errors.length} error(s): ${errorCounts}`;
 
   return {
     ...validationResult,
@@ -805,162 +1852,20 @@ export function analyzeErrors(validationResult) {
 }
 
 /**
- * Analyzes a single error and provides category, context, and suggestions
+ * Analyzes a single diagnostic and provides category, context, and suggestions
  */
-function analyzeError(errorMessage, errorNumber) {
-  const error = {
+function analyzeError(diagnostic, errorNumber, rules) {
+  const { details, suggestion, spec } = explainDiagnostic(diagnostic, rules);
+
+  return {
     number: errorNumber,
-    message: errorMessage,
-    category: 'value',
-    path: extractPath(errorMessage),
-    suggestion: null,
-    details: null
+    code: diagnostic.code,
+    message: diagnostic.message,
+    category: diagnostic.category,
+    path: formatPath([...diagnostic.path, ...diagnostic.valuePath]) || 'root',
+    range: diagnostic.range,
+    suggestion,
+    details,
+    spec
   };
-
-  // Categorize and add suggestions based on error patterns
-  if (errorMessage.includes('Invalid JSON')) {
-    error.category = 'structure';
-    error.suggestion = 'Check for missing commas, brackets, or quotes. Use a JSON validator to find syntax errors.';
-    error.details = 'The input is not valid JSON. Common issues include trailing commas, unquoted keys, or mismatched brackets.';
-  } else if (errorMessage.includes('Root must be an object')) {
-    error.category = 'structure';
-    error.suggestion = 'Wrap your tokens in a JSON object with curly braces: { "color": { ... } }';
-    error.details = 'Design tokens must be defined within a root object, not as an array or primitive value.';
-  } else if (errorMessage.includes('Input is empty')) {
-    error.category = 'structure';
-    error.suggestion = 'Paste your design tokens JSON into the editor.';
-    error.details = 'No input was provided for validation.';
-  } else if (errorMessage.includes('missing $value')) {
-    error.category = 'structure';
-    error.suggestion = `Add a "$value" property to the token at ${error.path}. Example: "$value": "#ff0000"`;
-    error.details = 'All tokens must have a $value property that contains the actual token value.';
-  } else if (errorMessage.includes('Unknown $type')) {
-    error.category = 'type';
-    const match = errorMessage.match(/"([^"]+)"/);
-    if (match) {
-      error.suggestion = `Change "$type": "${match[1]}" to one of: ${VALID_TOKEN_TYPES.join(', ')}`;
-    }
-    error.details = 'The $type must be one of the 13 supported token types defined in the DTCG Format Module.';
-  } else if (errorMessage.includes('contains invalid characters')) {
-    error.category = 'naming';
-    error.suggestion = 'Token names cannot contain dots (.), curly braces ({ }), or quotes ("). Use hyphens or underscores instead.';
-    error.details = 'Token names must follow DTCG naming conventions: alphanumeric, hyphens, and underscores only.';
-  } else if (errorMessage.includes('colorSpace')) {
-    error.category = 'value';
-    if (errorMessage.includes('must have colorSpace')) {
-      error.suggestion = `Add "colorSpace" property. Example: "colorSpace": "srgb"`;
-    } else if (errorMessage.includes('unsupported colorSpace')) {
-      const supportedSpaces = Object.keys(COLOR_SPACES).join(', ');
-      error.suggestion = `Use one of the 14 supported color spaces: ${supportedSpaces}`;
-    }
-    error.details = 'Color tokens using object format must specify a valid colorSpace from the Color Module 2025.10.';
-  } else if (errorMessage.includes('components')) {
-    error.category = 'value';
-    if (errorMessage.includes('must have components array')) {
-      error.suggestion = 'Add "components" array with color values. Example: "components": [1, 0, 0] for red in sRGB.';
-    } else if (errorMessage.includes('exactly 3 values')) {
-      error.suggestion = 'Color components must be an array of exactly 3 numeric values or "none".';
-    } else if (errorMessage.includes('must be a number or "none"')) {
-      error.suggestion = 'Each component must be either a number or the string "none".';
-    } else if (errorMessage.includes('must be between')) {
-      const match = errorMessage.match(/between ([\d.]+) and ([\d.]+)/);
-      if (match) {
-        error.suggestion = `Component value must be in range [${match[1]}, ${match[2]}]. Check the color space requirements.`;
-      }
-    } else if (errorMessage.includes('must be >= 0 and < 360')) {
-      error.suggestion = 'Hue values must be in the range [0, 360) - note that 360 is NOT valid, use 0 instead for a full rotation.';
-    }
-    error.details = 'Color components must conform to the range requirements of their color space.';
-  } else if (errorMessage.includes('alpha')) {
-    error.category = 'value';
-    error.suggestion = 'Alpha must be a number between 0 and 1, where 0 is fully transparent and 1 is fully opaque.';
-    error.details = 'The alpha channel controls opacity and must be a numeric value in the range [0, 1].';
-  } else if (errorMessage.includes('fontWeight')) {
-    error.category = 'value';
-    if (errorMessage.includes('between 1-1000')) {
-      error.suggestion = `Use a numeric weight between 1-1000, or use an alias like: ${Object.keys(FONT_WEIGHT_ALIASES).slice(0, 5).join(', ')}, etc.`;
-    } else if (errorMessage.includes('valid weight alias')) {
-      error.suggestion = `Use one of these aliases: ${Object.keys(FONT_WEIGHT_ALIASES).join(', ')}`;
-    }
-    error.details = 'Font weight must be a number 1-1000 or a recognized weight alias.';
-  } else if (errorMessage.includes('dimension') && errorMessage.includes('unit')) {
-    error.category = 'value';
-    error.suggestion = 'Dimension units must be "px" or "rem" per the DTCG Format Module 2025.10.';
-    error.details = 'The specification only allows "px" and "rem" units for dimensions.';
-  } else if (errorMessage.includes('duration') && errorMessage.includes('unit')) {
-    error.category = 'value';
-    error.suggestion = 'Duration units must be "ms" (milliseconds) or "s" (seconds).';
-    error.details = 'Duration values must use milliseconds or seconds as the unit.';
-  } else if (errorMessage.includes('cubicBezier')) {
-    error.category = 'value';
-    if (errorMessage.includes('exactly 4 numbers')) {
-      error.suggestion = 'cubicBezier must be an array of 4 numbers: [P1x, P1y, P2x, P2y]. Example: [0.42, 0, 0.58, 1]';
-    } else if (errorMessage.includes('must be in range [0, 1]')) {
-      error.suggestion = 'X coordinates (P1x and P2x) must be between 0 and 1. Y coordinates can be any value.';
-    }
-    error.details = 'Cubic bezier values define easing curves with control points.';
-  } else if (errorMessage.includes('Shadow') && errorMessage.includes('missing required field')) {
-    error.category = 'structure';
-    const match = errorMessage.match(/field: (\w+)/);
-    if (match) {
-      error.suggestion = `Add the "${match[1]}" property to your shadow object. Shadows require: offsetX, offsetY, blur, spread, and color.`;
-    }
-    error.details = 'Shadow tokens must have all required fields: offsetX, offsetY, blur, spread, and color. Inset is optional.';
-  } else if (errorMessage.includes('Typography') && errorMessage.includes('missing required field')) {
-    error.category = 'structure';
-    const match = errorMessage.match(/field: (\w+)/);
-    if (match) {
-      error.suggestion = `Add the "${match[1]}" property. Typography requires: fontFamily, fontSize, fontWeight, lineHeight, and letterSpacing.`;
-    }
-    error.details = 'Typography tokens must have all 5 required fields per the Format Module.';
-  } else if (errorMessage.includes('strokeStyle')) {
-    error.category = 'value';
-    error.suggestion = `Use one of: ${STROKE_STYLE_VALUES.join(', ')}, or provide an object with dashArray and optional lineCap.`;
-    error.details = 'Stroke style can be a predefined string or a custom object with dash patterns.';
-  } else if (errorMessage.includes('Gradient')) {
-    error.category = 'value';
-    if (errorMessage.includes('must be an array')) {
-      error.suggestion = 'Gradients must be an array of stops. Example: [{"color": "#000", "position": 0}, {"color": "#fff", "position": 1}]';
-    } else if (errorMessage.includes('must have color property')) {
-      error.suggestion = 'Each gradient stop must have a "color" property.';
-    } else if (errorMessage.includes('must have position property')) {
-      error.suggestion = 'Each gradient stop must have a "position" property (typically 0 to 1).';
-    }
-    error.details = 'Gradients are arrays of color stops, each with a color and position.';
-  } else if (errorMessage.includes('Border') && errorMessage.includes('must have')) {
-    error.category = 'structure';
-    const match = errorMessage.match(/must have (\w+) property/);
-    if (match) {
-      error.suggestion = `Add the "${match[1]}" property. Border requires: color, width, and style.`;
-    }
-    error.details = 'Border tokens are composite types requiring color, width, and style properties.';
-  } else if (errorMessage.includes('Transition') && errorMessage.includes('must have')) {
-    error.category = 'structure';
-    const match = errorMessage.match(/must have (\w+) property/);
-    if (match) {
-      error.suggestion = `Add the "${match[1]}" property. Transition requires: duration, delay, and timingFunction.`;
-    }
-    error.details = 'Transition tokens define animation timing with duration, delay, and easing.';
-  }
-
-  return error;
-}
-
-/**
- * Extracts the token path from an error message
- */
-function extractPath(errorMessage) {
-  // Try to find "at <path>" pattern
-  const atMatch = errorMessage.match(/at ([\w.\[\]]+)/);
-  if (atMatch) {
-    return atMatch[1];
-  }
-
-  // Try to find path in quotes
-  const quoteMatch = errorMessage.match(/"([\w.]+)"/);
-  if (quoteMatch && !quoteMatch[1].includes(' ')) {
-    return quoteMatch[1];
-  }
-
-  return 'root';
 }
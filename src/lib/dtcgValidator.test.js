@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { validateTokens, validateTokensObject } from './dtcgValidator';
+import { validateTokens, validateTokensObject, validateTokenFiles, analyzeErrors, getTokenType, RULES } from './dtcgValidator.js';
 
 describe('DTCG Validator - W3C Spec Compliant', () => {
   describe('Basic validation', () => {
@@ -978,6 +978,27 @@ describe('DTCG Validator - W3C Spec Compliant', () => {
       expect(result.valid).toBe(false);
       expect(result.errors).toContain('strokeStyle lineCap at border.invalid must be "round", "butt", or "square"');
     });
+
+    it('should validate dashArray lengths as dimensions', () => {
+      const result = validateTokensObject({
+        color: { $type: 'color', accent: { $value: '#0066cc' } },
+        size: { $type: 'dimension', dash: { $value: { value: 4, unit: 'px' } } },
+        stroke: {
+          $type: 'strokeStyle',
+          dashed: { $value: { dashArray: ['{size.dash}', { value: 2, unit: 'px' }], lineCap: 'round' } },
+          invalid: { $value: { dashArray: ['x', '{color.accent}'], lineCap: 'round' } }
+        },
+        border: {
+          $type: 'border',
+          dotted: { $value: { color: '{color.accent}', width: '1px', style: { dashArray: ['{color.accent}'], lineCap: 'butt' } } }
+        }
+      });
+      expect(result.errors).toEqual([
+        'Dimension at stroke.invalid.dashArray[0] must be a number with unit "px" or "rem" (e.g., "16px", "1rem") or a reference',
+        'Reference "{color.accent}" at stroke.invalid.dashArray[1] resolves to a color token, but dashArray lengths must be dimensions',
+        'Reference "{color.accent}" at border.dotted.style.dashArray[0] resolves to a color token, but dashArray lengths must be dimensions'
+      ]);
+    });
   });
 
   describe('Border tokens', () => {
@@ -1014,6 +1035,14 @@ describe('DTCG Validator - W3C Spec Compliant', () => {
       expect(result.valid).toBe(false);
       expect(result.errors).toContain('Border at border.invalid must have color property');
     });
+
+    it('should not report falsy properties of borders as missing', () => {
+      const result = validateTokensObject({
+        border: { $type: 'border', invalid: { $value: { color: '', width: 0, style: '' } } }
+      });
+      expect(result.errors.some(error => error.includes('must have'))).toBe(false);
+      expect(result.errors).toContain('strokeStyle at border.invalid.style must be one of: solid, dashed, dotted, double, groove, ridge, outset, inset');
+    });
   });
 
   describe('Transition tokens', () => {
@@ -1050,6 +1079,14 @@ describe('DTCG Validator - W3C Spec Compliant', () => {
       expect(result.valid).toBe(false);
       expect(result.errors).toContain('Transition at transition.invalid must have duration property');
     });
+
+    it('should not report falsy properties of transitions as missing', () => {
+      const result = validateTokensObject({
+        transition: { $type: 'transition', invalid: { $value: { duration: 0, delay: 0, timingFunction: null } } }
+      });
+      expect(result.errors.some(error => error.includes('must have'))).toBe(false);
+      expect(result.errors).toContain('cubicBezier at transition.invalid.timingFunction must be an array of exactly 4 numbers');
+    });
   });
 
   describe('Shadow tokens', () => {
@@ -1874,4 +1911,1503 @@ describe('DTCG Validator - W3C Spec Compliant', () => {
       });
     });
   });
+
+  describe('Structured diagnostics', () => {
+    it('should report rule code, token path, category, severity and value', () => {
+      const tokens = {
+        color: {
+          accent: {
+            $type: 'color',
+            $value: { colorSpace: 'hsl', components: [360, 50, 50] }
+          }
+        }
+      };
+      const result = validateTokensObject(tokens);
+      expect(result.valid).toBe(false);
+      expect(result.diagnostics).toEqual([
+        {
+          code: 'color/hue-range',
+          message: 'Color hue component at color.accent.components[0] must be >= 0 and < 360',
+          severity: 'error',
+          category: 'value',
+          path: ['color', 'accent'],
+          valuePath: ['$value', 'components', 0],
+          value: 360,
+          range: null,
+          fix: {
+            description: 'Normalize hue 360 to 0',
+            edits: [{ location: ['color', 'accent', '$value', 'components', 0], previous: 360, value: 0 }]
+          }
+        }
+      ]);
+    });
+
+    it('should keep plain message arrays for errors and warnings', () => {
+      const tokens = JSON.stringify({
+        color: {
+          primary: { $type: 'color', $value: 'red' },
+          secondary: { $type: 'color' }
+        }
+      });
+      const result = validateTokens(tokens);
+      expect(result.errors).toEqual(['Token at color.secondary is missing $value']);
+      expect(result.warnings).toEqual(['Color at color.primary should be in 6-digit hex format (#rrggbb) or a reference']);
+      expect(result.diagnostics.map(d => d.code)).toEqual(['color/hex-format', 'token/missing-value']);
+    });
+
+    it('should categorize reference errors as reference', () => {
+      const tokens = JSON.stringify({
+        color: {
+          primary: { $type: 'color', $value: '{color.missing}' }
+        }
+      });
+      const [diagnostic] = validateTokens(tokens).diagnostics;
+      expect(diagnostic.code).toBe('reference/missing');
+      expect(diagnostic.category).toBe('reference');
+      expect(diagnostic.path).toEqual(['color', 'primary']);
+      expect(diagnostic.value).toBe('{color.missing}');
+    });
+
+    it('should report document level problems with an empty path', () => {
+      expect(validateTokens('').diagnostics[0]).toMatchObject({ code: 'document/empty', path: [] });
+      expect(validateTokens('{oops}').diagnostics[0]).toMatchObject({ code: 'json/syntax', category: 'structure' });
+      expect(validateTokensObject([]).diagnostics[0]).toMatchObject({ code: 'document/root-type', path: [] });
+    });
+
+    it('should report deeply nested JSON as a syntax error', () => {
+      const result = validateTokens('{"a":'.repeat(3000) + '{}' + '}'.repeat(3000));
+      expect(result.valid).toBe(false);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'json/syntax', range: { start: { line: 1, column: 2561 } } });
+    });
+
+    it('should give every diagnostic a known rule code', () => {
+      const tokens = JSON.stringify({
+        'bad.name': { $type: 'color', $value: '#000000' },
+        weight: { $type: 'fontWeight', $value: 2000 },
+        custom: { $type: 'customType', $value: 1 }
+      });
+      const result = validateTokens(tokens);
+      for (const diagnostic of result.diagnostics) {
+        expect(RULES[diagnostic.code]).toBeDefined();
+        expect(diagnostic.category).toBe(RULES[diagnostic.code].category);
+      }
+      expect(result.diagnostics.map(d => d.code).sort()).toEqual([
+        'fontWeight/range',
+        'naming/invalid-characters',
+        'token/unknown-type'
+      ]);
+    });
+  });
+
+  describe('Error analysis', () => {
+    it('should give every rule a category, details, suggestion and spec link', () => {
+      for (const [code, rule] of Object.entries(RULES)) {
+        expect(['structure', 'type', 'value', 'naming', 'reference'], code).toContain(rule.category);
+        expect(rule.details, code).toBeTruthy();
+        expect(rule.suggestion, code).toBeTruthy();
+        expect(rule.spec, code).toMatch(/^https:\/\/www\.designtokens\.org\/TR\/2025\.10\/(format|color|resolver)\/#/);
+      }
+    });
+
+    it('should report no errors for a valid document', () => {
+      const result = analyzeErrors(validateTokens('{}'));
+      expect(result.analysis.summary).toBe('No errors found');
+    });
+
+    it('should categorize errors by their rule', () => {
+      const tokens = JSON.stringify({
+        color: {
+          primary: { $type: 'color', $value: '{color.missing}' },
+          'bad.name': { $type: 'color', $value: '#000000' }
+        },
+        shadow: {
+          card: {
+            $type: 'shadow',
+            $value: { offsetX: '0px', offsetY: '1px', blur: '2px', color: '#000000' }
+          }
+        }
+      });
+      const { analysis } = analyzeErrors(validateTokens(tokens));
+      expect(analysis.summary).toBe('Found 3 error(s): 1 structure, 1 naming, 1 reference');
+      expect(analysis.categories.reference[0]).toMatchObject({
+        code: 'reference/missing',
+        path: 'color.primary',
+        spec: 'https://www.designtokens.org/TR/2025.10/format/#aliases-references'
+      });
+      expect(analysis.categories.structure[0].suggestion).toContain('Add the "spread" property');
+    });
+
+    it('should not depend on message wording', () => {
+      const result = validateTokens(JSON.stringify({
+        color: { accent: { $type: 'color', $value: { colorSpace: 'oklch', components: [0.5, 0.1, 400] } } }
+      }));
+      result.diagnostics[0].message = 'reworded';
+      const { analysis } = analyzeErrors(result);
+      expect(analysis.categories.value[0].code).toBe('color/hue-range');
+      expect(analysis.categories.value[0].suggestion).toContain('[0, 360)');
+      expect(analysis.categories.value[0].path).toBe('color.accent.components[2]');
+    });
+  });
+
+  describe('Diagnostic positions', () => {
+    const source = [
+      '{',
+      '  "color": {',
+      '    "accent": {',
+      '      "$type": "color",',
+      '      "$value": { "colorSpace": "hsl", "components": [360, 50, 50] }',
+      '    },',
+      '    "bad.name": { "$type": "color", "$value": "#000000" }',
+      '  }',
+      '}'
+    ].join('\n');
+
+    it('should point value diagnostics at the offending value', () => {
+      const diagnostic = validateTokens(source).diagnostics.find(d => d.code === 'color/hue-range');
+      expect(diagnostic.range.start).toMatchObject({ line: 5, column: 55 });
+      expect(diagnostic.range.end).toMatchObject({ line: 5, column: 58 });
+    });
+
+    it('should point naming diagnostics at the key', () => {
+      const diagnostic = validateTokens(source).diagnostics.find(d => d.code === 'naming/invalid-characters');
+      expect(diagnostic.range.start).toMatchObject({ line: 7, column: 5 });
+      expect(diagnostic.range.end).toMatchObject({ line: 7, column: 15 });
+    });
+
+    it('should point missing property diagnostics at the enclosing value', () => {
+      const result = validateTokens('{\n  "b": {\n    "$type": "border",\n    "$value": { "width": "1px", "style": "solid" }\n  }\n}');
+      expect(result.diagnostics[0].code).toBe('border/missing-property');
+      expect(result.diagnostics[0].range.start).toMatchObject({ line: 4, column: 15 });
+    });
+
+    it('should report the exact location of JSON syntax errors', () => {
+      const result = validateTokens('{\n  "color": {\n    "primary": "#000000",\n  }\n}');
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toBe('Invalid JSON: Expected property name but found character "}" at line 4, column 3');
+      expect(result.diagnostics[0].range.start).toMatchObject({ line: 4, column: 3 });
+    });
+
+    it('should leave ranges empty for already parsed objects', () => {
+      const result = validateTokensObject({ 'bad.name': { $type: 'number', $value: 1 } });
+      expect(result.diagnostics[0].range).toBeNull();
+    });
+  });
+
+  describe('Duplicate keys', () => {
+    it('should report duplicate tokens with both locations', () => {
+      const source = [
+        '{',
+        '  "color": {',
+        '    "primary": { "$type": "color", "$value": "#ff0000" },',
+        '    "primary": { "$type": "color", "$value": "#00ff00" }',
+        '  }',
+        '}'
+      ].join('\n');
+      const result = validateTokens(source);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Duplicate key "primary" at color.primary (first defined at line 3, column 5)']);
+      expect(result.diagnostics[0]).toMatchObject({
+        code: 'json/duplicate-key',
+        category: 'structure',
+        path: ['color', 'primary'],
+        range: { start: { line: 4, column: 5 } },
+        related: [{ range: { start: { line: 3, column: 5 } } }]
+      });
+      expect(result.tokenCount).toBe(1);
+    });
+
+    it('should report duplicate $value and $type properties', () => {
+      const source = '{ "size": { "$type": "dimension", "$value": "4px", "$type": "number", "$value": 4 } }';
+      const result = validateTokens(source);
+      expect(result.diagnostics.map(d => [d.code, d.path, d.valuePath])).toEqual([
+        ['json/duplicate-key', ['size'], ['$type']],
+        ['json/duplicate-key', ['size'], ['$value']]
+      ]);
+    });
+
+    it('should report duplicates at any depth, including inside values', () => {
+      const source = JSON.stringify({
+        shadow: { card: { $type: 'shadow', $value: [{ blur: 'PLACEHOLDER' }] } }
+      }).replace('"blur":"PLACEHOLDER"', '"offsetX":"0px","offsetY":"1px","blur":"2px","spread":"0px","color":"#000000","color":"#111111"');
+      const result = validateTokens(source);
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ path: ['shadow', 'card'], valuePath: ['$value', 0, 'color'] });
+    });
+
+    it('should report every repeated occurrence', () => {
+      const result = validateTokens('{ "a": { "$type": "number", "$value": 1 }, "a": { "$type": "number", "$value": 2 }, "a": { "$type": "number", "$value": 3 } }');
+      expect(result.errors).toHaveLength(2);
+    });
+  });
+
+  describe('Multiple files', () => {
+    const core = JSON.stringify({
+      color: {
+        blue: { $type: 'color', $value: '#0066cc' },
+        white: { $type: 'color', $value: '#ffffff' }
+      }
+    }, null, 2);
+    const semantic = JSON.stringify({
+      action: {
+        primary: { $type: 'color', $value: '{color.blue}' }
+      }
+    }, null, 2);
+
+    it('should resolve references to tokens in other files', () => {
+      const result = validateTokenFiles({ 'core.json': core, 'semantic.json': semantic });
+      expect(result.valid).toBe(true);
+      expect(result.tokenCount).toBe(3);
+    });
+
+    it('should attribute diagnostics to their file', () => {
+      const component = JSON.stringify({
+        button: { background: { $type: 'color', $value: '{action.secondary}' } }
+      }, null, 2);
+      const result = validateTokenFiles({ 'core.json': core, 'semantic.json': semantic, 'component.json': component });
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({
+        code: 'reference/missing',
+        file: 'component.json',
+        path: ['button', 'background'],
+        range: { start: { line: 5, column: 17 } }
+      });
+    });
+
+    it('should report tokens defined in more than one file', () => {
+      const override = JSON.stringify({ color: { blue: { $type: 'color', $value: '#0000ff' } } }, null, 2);
+      const result = validateTokenFiles({ 'core.json': core, 'theme.json': override });
+      expect(result.errors).toEqual(['Token at color.blue is defined in both "core.json" and "theme.json"']);
+      expect(result.diagnostics[0]).toMatchObject({
+        code: 'token/conflicting-definition',
+        file: 'theme.json',
+        range: { start: { line: 3, column: 5 } },
+        related: [{ file: 'core.json', range: { start: { line: 3, column: 5 } } }]
+      });
+    });
+
+    it('should report syntax errors per file and validate the others', () => {
+      const result = validateTokenFiles({ 'core.json': core, 'broken.json': '{ "a": ', 'list.json': '[]' });
+      expect(result.diagnostics.map(d => [d.file, d.code])).toEqual([
+        ['broken.json', 'json/syntax'],
+        ['list.json', 'document/root-type']
+      ]);
+      expect(result.tokenCount).toBe(2);
+    });
+  });
+
+  describe('JSON Pointer references', () => {
+    const base = {
+      color: {
+        primary: { $type: 'color', $value: '#0066cc' },
+        'a/b': { $type: 'color', $value: '#ffffff' }
+      },
+      size: {
+        small: { $type: 'dimension', $value: { value: 4, unit: 'px' } }
+      },
+      shadow: {
+        card: {
+          $type: 'shadow',
+          $value: { color: '#000000', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' }
+        }
+      }
+    };
+
+    it('should resolve $ref references to token values', () => {
+      const result = validateTokensObject({
+        ...base,
+        alias: {
+          action: { $value: { $ref: '#/color/primary/$value' } },
+          escaped: { $type: 'color', $value: { $ref: '#/color/a~1b/$value' } }
+        }
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should validate the resolved value against the token type', () => {
+      const result = validateTokensObject({
+        ...base,
+        raw: { $value: 'wide' },
+        spacing: { $type: 'dimension', $value: { $ref: '#/raw/$value' } }
+      });
+      expect(result.errors).toContain('Dimension at spacing must be a number with unit "px" or "rem" (e.g., "16px", "1rem") or a reference');
+    });
+
+    it('should resolve pointers into a property of a composite value', () => {
+      const result = validateTokensObject({
+        ...base,
+        border: {
+          $type: 'border',
+          $value: {
+            color: { $ref: '#/shadow/card/$value/color' },
+            width: { $ref: '#/size/small/$value' },
+            style: 'solid'
+          }
+        }
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report references to missing tokens and properties', () => {
+      const result = validateTokensObject({
+        ...base,
+        a: { $type: 'color', $value: { $ref: '#/color/secondary/$value' } },
+        b: { $type: 'color', $value: { $ref: '#/shadow/card/$value/outline' } }
+      });
+      expect(result.errors).toEqual([
+        'Reference "#/color/secondary/$value" points to non-existent token at a',
+        'Reference "#/shadow/card/$value/outline" points to non-existent property of token shadow.card at b'
+      ]);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'reference/missing', valuePath: ['$value'], value: { $ref: '#/color/secondary/$value' } });
+    });
+
+    it('should reject pointers outside the document', () => {
+      const result = validateTokensObject({
+        ...base,
+        a: { $type: 'color', $value: { $ref: 'colors.json#/primary/$value' } }
+      });
+      expect(result.diagnostics[0].code).toBe('reference/invalid-pointer');
+    });
+
+    it('should reject pointers that do not go through $value', () => {
+      const result = validateTokensObject({
+        ...base,
+        a: { $type: 'color', $value: { $ref: '#/color/primary/$type' } },
+        b: { $type: 'color', $value: { $ref: '#/color/primary' } },
+        c: { $type: 'color', $value: { $ref: '#/$value' } }
+      });
+      expect(result.diagnostics.map(d => [d.code, d.path])).toEqual([
+        ['reference/invalid-pointer', ['a']],
+        ['reference/invalid-pointer', ['b']],
+        ['reference/invalid-pointer', ['c']]
+      ]);
+      expect(result.errors[0]).toBe('Reference "#/color/primary/$type" is not a valid JSON Pointer to a token at a');
+    });
+
+    it('should detect cycles mixing $ref and curly brace references', () => {
+      const result = validateTokensObject({
+        a: { $type: 'color', $value: { $ref: '#/b/$value' } },
+        b: { $type: 'color', $value: '{a}' }
+      });
+      expect(result.errors).toEqual(['Circular reference detected: a → b → a']);
+    });
+
+    it('should type-check references substituted into composite properties', () => {
+      const result = validateTokensObject({
+        ...base,
+        border: {
+          $type: 'border',
+          $value: { color: { $ref: '#/size/small/$value' }, width: '1px', style: 'solid' }
+        },
+        gradient: {
+          $type: 'gradient',
+          $value: [{ color: '#ffffff', position: { $ref: '#/color/primary/$value' } }]
+        }
+      });
+      expect(result.errors).toEqual([
+        'Reference "#/size/small/$value" at border.color resolves to a dimension token, but color must be a color',
+        'Reference "#/color/primary/$value" at gradient[0].position resolves to a color token, but position must be a number'
+      ]);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'reference/type-mismatch', valuePath: ['$value', 'color'] });
+    });
+
+    it('should validate untyped property references against the property type', () => {
+      const result = validateTokensObject({
+        ...base,
+        raw: { $value: 'oops' },
+        border: {
+          $type: 'border',
+          $value: { color: { $ref: '#/raw/$value' }, width: '1px', style: 'solid' }
+        }
+      });
+      expect(result.diagnostics).toContainEqual(expect.objectContaining({ code: 'color/hex-format', path: ['border'], valuePath: ['$value', 'color'] }));
+    });
+  });
+
+  describe('Group $extends', () => {
+    const button = {
+      base: {
+        $type: 'color',
+        background: { $value: '#0066cc' },
+        text: { $value: '#ffffff' },
+        border: { width: { $type: 'dimension', $value: '1px' } }
+      }
+    };
+
+    it('should inherit the $type the base group takes from its ancestors', () => {
+      const result = validateTokensObject({
+        color: { $type: 'color', button: { bg: { $value: '#0066cc' } } },
+        size: { $type: 'dimension', variant: { $extends: '{color.button}' } },
+        plain: { variant: { $extends: '{color.button}' } },
+        alias: { $type: 'color', $value: '{size.variant.bg}' },
+        plainAlias: { $type: 'color', $value: '{plain.variant.bg}' }
+      });
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    it('should inherit tokens and $type from the base group', () => {
+      const result = validateTokensObject({
+        button: {
+          ...button,
+          danger: { $extends: '{button.base}', background: { $value: '#cc0000' } }
+        },
+        link: {
+          $type: 'color',
+          danger: { $value: '{button.danger.text}' },
+          width: { $type: 'dimension', $value: '{button.danger.border.width}' }
+        }
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should validate local overrides with the inherited type', () => {
+      const result = validateTokensObject({
+        button: {
+          ...button,
+          danger: { $extends: '{button.base}', background: { $value: 'red' } }
+        }
+      });
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'color/hex-format', path: ['button', 'danger', 'background'] });
+    });
+
+    it('should report problems of inherited tokens only once', () => {
+      const result = validateTokensObject({
+        button: {
+          base: { $type: 'color', background: { $value: 'blue' } },
+          primary: { $extends: '{button.base}' },
+          secondary: { $extends: { $ref: '#/button/base' } }
+        }
+      });
+      expect(result.warnings).toEqual(['Color at button.base.background should be in 6-digit hex format (#rrggbb) or a reference']);
+    });
+
+    it('should merge nested groups of the base and the extending group', () => {
+      const result = validateTokensObject({
+        button: {
+          ...button,
+          large: {
+            $extends: '{button.base}',
+            border: { radius: { $type: 'dimension', $value: '4px' } }
+          }
+        },
+        alias: {
+          $type: 'dimension',
+          width: { $value: '{button.large.border.width}' },
+          radius: { $value: '{button.large.border.radius}' }
+        }
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should resolve chains of extended groups', () => {
+      const result = validateTokensObject({
+        button: {
+          ...button,
+          primary: { $extends: '{button.base}' },
+          primaryLarge: { $extends: '{button.primary}', padding: { $type: 'dimension', $value: '16px' } }
+        },
+        alias: { $type: 'color', $value: '{button.primaryLarge.text}' }
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report missing and invalid base groups', () => {
+      const result = validateTokensObject({
+        button: {
+          ...button,
+          a: { $extends: '{button.missing}' },
+          b: { $extends: '{button.base.text}' },
+          c: { $extends: 'button.base' }
+        }
+      });
+      expect(result.diagnostics.map(d => [d.code, d.path])).toEqual([
+        ['extends/missing', ['button', 'a']],
+        ['extends/invalid', ['button', 'b']],
+        ['extends/invalid', ['button', 'c']]
+      ]);
+      expect(result.diagnostics[0].valuePath).toEqual(['$extends']);
+    });
+
+    it('should report each $extends cycle once', () => {
+      const result = validateTokensObject({
+        a: { $extends: '{b}', x: { $type: 'number', $value: 1 } },
+        b: { $extends: '{a}' },
+        c: { $extends: '{c}' },
+        d: { child: { $extends: '{d}' } }
+      });
+      expect(result.errors).toEqual([
+        'Circular $extends detected: a → b → a at b',
+        'Circular $extends detected: c → c at c',
+        'Circular $extends detected: d → d.child → d at d.child'
+      ]);
+    });
+
+    it('should point $extends diagnostics at the property', () => {
+      const result = validateTokens('{\n  "a": { "$extends": "{missing}" }\n}');
+      expect(result.diagnostics[0].range.start).toMatchObject({ line: 2, column: 22 });
+    });
+  });
+
+  describe('Composite sub-values', () => {
+    const shadowLayer = { color: '#000000', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' };
+
+    it('should validate border properties', () => {
+      const result = validateTokensObject({
+        border: { $type: 'border', $value: { color: 42, width: '1pt', style: 'wavy' } }
+      });
+      expect(result.diagnostics.map(d => [d.code, d.valuePath])).toEqual([
+        ['color/type', ['$value', 'color']],
+        ['dimension/format', ['$value', 'width']],
+        ['strokeStyle/keyword', ['$value', 'style']]
+      ]);
+    });
+
+    it('should validate every layer of a shadow', () => {
+      const result = validateTokensObject({
+        shadow: {
+          card: { $type: 'shadow', $value: [shadowLayer, { ...shadowLayer, blur: 'lots', offsetX: { value: 2, unit: 'em' } }] }
+        }
+      });
+      expect(result.errors).toEqual([
+        'Dimension unit at shadow.card[1].offsetX must be "px" or "rem"',
+        'Dimension at shadow.card[1].blur must be a number with unit "px" or "rem" (e.g., "16px", "1rem") or a reference'
+      ]);
+      expect(result.diagnostics[1]).toMatchObject({ path: ['shadow', 'card'], valuePath: ['$value', 1, 'blur'], value: 'lots' });
+    });
+
+    it('should validate transition properties', () => {
+      const result = validateTokensObject({
+        transition: {
+          $type: 'transition',
+          $value: { duration: '200ms', delay: { value: 0, unit: 'ms' }, timingFunction: [2, 0, 0.5, 1] }
+        }
+      });
+      expect(result.diagnostics.map(d => d.code)).toEqual(['duration/type', 'cubicBezier/x-range']);
+    });
+
+    it('should validate gradient stop colors', () => {
+      const result = validateTokensObject({
+        gradient: { $type: 'gradient', $value: [{ color: '#ffffff', position: 0 }, { color: true, position: 1 }] }
+      });
+      expect(result.errors).toEqual(['Color at gradient[1].color must be a string or object']);
+    });
+
+    it('should validate typography properties', () => {
+      const result = validateTokensObject({
+        typography: {
+          $type: 'typography',
+          $value: { fontFamily: 12, fontSize: '16px', fontWeight: 'heavyish', letterSpacing: '0px', lineHeight: '1.5' }
+        }
+      });
+      expect(result.diagnostics.map(d => [d.code, d.valuePath[1]])).toEqual([
+        ['fontFamily/type', 'fontFamily'],
+        ['fontWeight/alias', 'fontWeight'],
+        ['number/type', 'lineHeight']
+      ]);
+    });
+
+    it('should accept references as sub-values', () => {
+      const result = validateTokensObject({
+        color: { black: { $type: 'color', $value: '#000000' } },
+        border: { $type: 'border', $value: { color: '{color.black}', width: '1px', style: 'solid' } }
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should point sub-value diagnostics at the offending value', () => {
+      const source = JSON.stringify({ border: { $type: 'border', $value: { color: '#000000', width: '1px', style: 'wavy' } } }, null, 2);
+      const result = validateTokens(source);
+      expect(result.diagnostics[0].range.start).toMatchObject({ line: 7, column: 16 });
+    });
+  });
+
+  describe('References inside composite values', () => {
+    const base = {
+      color: { $type: 'color', primary: { $value: '#0066cc' } },
+      size: { $type: 'dimension', thin: { $value: '1px' } },
+      motion: {
+        fast: { $type: 'duration', $value: { value: 100, unit: 'ms' } },
+        ease: { $type: 'cubicBezier', $value: [0.4, 0, 0.2, 1] }
+      }
+    };
+
+    it('should resolve valid nested references', () => {
+      const result = validateTokensObject({
+        ...base,
+        border: { $type: 'border', $value: { color: '{color.primary}', width: '{size.thin}', style: 'solid' } },
+        transition: { $type: 'transition', $value: { duration: '{motion.fast}', delay: '{motion.fast}', timingFunction: '{motion.ease}' } }
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report dangling references at the sub-property', () => {
+      const result = validateTokensObject({
+        ...base,
+        shadow: {
+          $type: 'shadow',
+          $value: [{ color: '{color.secondary}', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' }]
+        }
+      });
+      expect(result.errors).toEqual(['Reference "{color.secondary}" points to non-existent token at shadow[0].color']);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'reference/missing', path: ['shadow'], valuePath: ['$value', 0, 'color'] });
+    });
+
+    it('should report circular references at the sub-property', () => {
+      const result = validateTokensObject({
+        ...base,
+        gradient: { $type: 'gradient', $value: [{ color: '{loop}', position: 0 }] },
+        loop: { $type: 'color', $value: { $ref: '#/gradient/$value/0/color' } }
+      });
+      expect(result.diagnostics.map(d => [d.code, d.path, d.valuePath])).toEqual([
+        ['reference/circular', ['gradient'], ['$value', 0, 'color']]
+      ]);
+      expect(result.errors).toEqual(['Circular reference detected: gradient[0].color → loop → gradient[0].color']);
+    });
+
+    it('should report references to tokens of the wrong type', () => {
+      const result = validateTokensObject({
+        ...base,
+        border: { $type: 'border', $value: { color: '{color.primary}', width: '{color.primary}', style: 'solid' } }
+      });
+      expect(result.errors).toEqual(['Reference "{color.primary}" at border.width resolves to a color token, but width must be a dimension']);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'reference/type-mismatch', valuePath: ['$value', 'width'] });
+    });
+
+    it('should validate the resolved value of untyped tokens', () => {
+      const result = validateTokensObject({
+        ...base,
+        raw: { $value: 'fast' },
+        transition: { $type: 'transition', $value: { duration: '{raw}', delay: '{motion.fast}', timingFunction: '{motion.ease}' } }
+      });
+      expect(result.diagnostics.map(d => [d.code, d.valuePath])).toContainEqual(['duration/type', ['$value', 'duration']]);
+    });
+  });
+
+  describe('Type mismatches across aliases', () => {
+    const base = {
+      color: { $type: 'color', primary: { $value: '#0066cc' }, action: { $value: '{color.primary}' } },
+      shadow: {
+        card: { $type: 'shadow', $value: { color: '#000000', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' } }
+      }
+    };
+
+    it('should report a declared type that differs from the aliased token', () => {
+      const result = validateTokensObject({
+        ...base,
+        spacing: { $type: 'dimension', $value: '{color.primary}' }
+      });
+      expect(result.errors).toEqual(['dimension token at spacing aliases a color token at color.primary']);
+      expect(result.diagnostics[0]).toMatchObject({
+        code: 'reference/type-mismatch',
+        category: 'reference',
+        path: ['spacing'],
+        valuePath: ['$value'],
+        value: '{color.primary}'
+      });
+    });
+
+    it('should compare group types with the aliased token', () => {
+      const result = validateTokensObject({
+        ...base,
+        size: { $type: 'dimension', small: { $value: '{color.action}' } }
+      });
+      expect(result.errors).toEqual(['dimension token at size.small aliases a color token at color.primary']);
+    });
+
+    it('should compare with the type of a referenced composite property', () => {
+      const result = validateTokensObject({
+        ...base,
+        blur: { $type: 'dimension', $value: { $ref: '#/shadow/card/$value/color' } }
+      });
+      expect(result.errors).toEqual(['dimension token at blur aliases a color token at shadow.card.color']);
+    });
+
+    it('should accept aliases of the same type', () => {
+      const result = validateTokensObject({
+        ...base,
+        brand: { $type: 'color', main: { $value: '{color.action}' } }
+      });
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('Reference cycles', () => {
+    it('should report a cycle once with all its members', () => {
+      const result = validateTokensObject({
+        color: {
+          $type: 'color',
+          a: { $value: '{color.b}' },
+          b: { $value: '{color.c}' },
+          c: { $value: '{color.a}' }
+        }
+      });
+      expect(result.errors).toEqual(['Circular reference detected: color.a → color.b → color.c → color.a']);
+      expect(result.diagnostics[0]).toMatchObject({
+        code: 'reference/circular',
+        path: ['color', 'a'],
+        valuePath: ['$value'],
+        value: '{color.b}'
+      });
+    });
+
+    it('should report every separate cycle', () => {
+      const result = validateTokensObject({
+        number: {
+          $type: 'number',
+          self: { $value: '{number.self}' },
+          x: { $value: '{number.y}' },
+          y: { $value: '{number.x}' }
+        }
+      });
+      expect(result.errors).toEqual([
+        'Circular reference detected: number.self → number.self',
+        'Circular reference detected: number.x → number.y → number.x'
+      ]);
+    });
+
+    it('should not report tokens aliasing into a cycle separately', () => {
+      const result = validateTokensObject({
+        color: {
+          $type: 'color',
+          alias: { $value: '{color.a}' },
+          a: { $value: '{color.b}' },
+          b: { $value: '{color.a}' }
+        },
+        border: { $type: 'border', $value: { color: '{color.alias}', width: '1px', style: 'solid' } }
+      });
+      expect(result.errors).toEqual(['Circular reference detected: color.a → color.b → color.a']);
+    });
+
+    it('should report cycles through different properties of a token separately', () => {
+      const result = validateTokensObject({
+        a: { $type: 'border', $value: { color: { $ref: '#/b/$value' }, width: { $ref: '#/c/$value' }, style: 'solid' } },
+        b: { $type: 'color', $value: { $ref: '#/a/$value/color' } },
+        c: { $type: 'dimension', $value: { $ref: '#/a/$value/width' } }
+      });
+      expect(result.errors).toEqual([
+        'Circular reference detected: a.color → b → a.color',
+        'Circular reference detected: a.width → c → a.width'
+      ]);
+    });
+
+    it('should resolve long alias chains', () => {
+      const tokens = { size: { $type: 'dimension', step0: { $value: '1px' } } };
+      for (let i = 1; i <= 5000; i++) {
+        tokens.size[`step${i}`] = { $value: `{size.step${i - 1}}` };
+      }
+      const result = validateTokensObject(tokens);
+      expect(result.valid).toBe(true);
+      expect(result.tokenCount).toBe(5001);
+    });
+
+    it('should resolve long alias chains in reverse document order', () => {
+      const tokens = { size: { $type: 'dimension' } };
+      for (let i = 5000; i >= 1; i--) {
+        tokens.size[`step${i}`] = { $value: `{size.step${i - 1}}` };
+      }
+      tokens.size.step0 = { $value: '1px' };
+      const result = validateTokensObject(tokens);
+      expect(result.valid).toBe(true);
+      expect(result.tokenCount).toBe(5001);
+    });
+
+    it('should resolve long chains of property references', () => {
+      const tokens = {
+        color: { $type: 'color', base: { $value: '#000000' } },
+        border: { $type: 'border' }
+      };
+      for (let i = 3000; i >= 1; i--) {
+        const color = i === 1 ? '{color.base}' : { $ref: `#/border/step${i - 1}/$value/color` };
+        tokens.border[`step${i}`] = { $value: { color, width: '1px', style: 'solid' } };
+      }
+      const result = validateTokensObject(tokens);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report cycles across files once', () => {
+      const result = validateTokenFiles({
+        'a.json': JSON.stringify({ a: { $type: 'color', $value: '{b}' } }),
+        'b.json': JSON.stringify({ b: { $type: 'color', $value: '{a}' } })
+      });
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ file: 'a.json', message: 'Circular reference detected: a → b → a' });
+    });
+  });
+
+  describe('Reserved properties', () => {
+    it('should accept valid $description, $deprecated and $extensions', () => {
+      const result = validateTokensObject({
+        $schema: 'https://www.designtokens.org/schemas/2025.10/format.json',
+        color: {
+          $description: 'Brand colors',
+          $deprecated: false,
+          primary: {
+            $type: 'color',
+            $value: '#0066cc',
+            $description: 'Primary brand color',
+            $deprecated: 'Use {color.brand} instead',
+            $extensions: { 'com.example.figma': { styleId: 'S:123' } }
+          }
+        }
+      });
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    it('should validate the types of reserved properties', () => {
+      const result = validateTokensObject({
+        color: {
+          $description: 42,
+          primary: { $type: 'color', $value: '#0066cc', $deprecated: {}, $extensions: 'x' }
+        }
+      });
+      expect(result.errors).toEqual([
+        '$description at color must be a string',
+        '$deprecated at color.primary must be a boolean or a string explaining the deprecation',
+        '$extensions at color.primary must be an object'
+      ]);
+      expect(result.diagnostics[1]).toMatchObject({ code: 'deprecated/type', path: ['color', 'primary'], valuePath: ['$deprecated'] });
+    });
+
+    it('should warn about $extensions keys without a vendor namespace', () => {
+      const result = validateTokensObject({
+        size: { $type: 'number', $value: 1, $extensions: { figma: {}, 'com.example': {} } }
+      });
+      expect(result.warnings).toEqual([
+        '$extensions key "figma" at size should be a vendor namespace in reverse domain notation (e.g., "com.example.tool")'
+      ]);
+      expect(result.diagnostics[0].valuePath).toEqual(['$extensions', 'figma']);
+    });
+
+    it('should suggest the closest property for typos', () => {
+      const result = validateTokensObject({
+        color: {
+          $tpye: 'color',
+          primary: { $type: 'color', $value: '#0066cc', $descripton: 'Primary' },
+          secondary: { $type: 'color', $vlaue: '#ffffff' }
+        }
+      });
+      expect(result.warnings).toEqual([
+        'Unknown property "$tpye" at color. Did you mean "$type"?',
+        'Unknown property "$descripton" at color.primary. Did you mean "$description"?',
+        'Unknown property "$vlaue" at color.secondary. Did you mean "$value"?'
+      ]);
+      expect(result.errors).toEqual(['Token at color.secondary is missing $value']);
+    });
+
+    it('should suggest $value for typos in tokens taking their $type from their group', () => {
+      const result = validateTokensObject({ color: { $type: 'color', primary: { $vlaue: '#ff0000' } } });
+      expect(result.warnings).toEqual(['Unknown property "$vlaue" at color.primary. Did you mean "$value"?']);
+      expect(result.errors).toEqual(['Token at color.primary is missing $value']);
+    });
+
+    it('should report unknown properties without a close match', () => {
+      const result = validateTokensObject({ $metadata: {}, size: { $type: 'number', $value: 1, $schema: 'x' } });
+      expect(result.diagnostics.map(d => [d.code, d.message])).toEqual([
+        ['property/unknown', 'Unknown property "$metadata" at root'],
+        ['property/unknown', 'Unknown property "$schema" at size']
+      ]);
+    });
+
+    it('should validate, count and resolve $root tokens of groups', () => {
+      const result = validateTokensObject({
+        color: {
+          $type: 'color',
+          accent: {
+            $root: { $value: '#dd0000' },
+            light: { $value: '#ff2222' }
+          },
+          link: { $value: '{color.accent.$root}' }
+        }
+      });
+      expect(result.diagnostics).toEqual([]);
+      expect(result.tokenCount).toBe(3);
+    });
+
+    it('should report invalid $root tokens', () => {
+      const result = validateTokensObject({
+        color: {
+          $type: 'color',
+          accent: { $root: { $value: 42 } },
+          muted: { $root: 'x' }
+        }
+      });
+      expect(result.errors).toEqual([
+        'Color at color.accent.$root must be a string or object',
+        'Token at color.muted.$root is missing $value'
+      ]);
+      expect(result.diagnostics[0]).toMatchObject({ path: ['color', 'accent', '$root'], valuePath: ['$value'] });
+    });
+
+    it('should not report properties of groups inherited through $extends twice', () => {
+      const result = validateTokensObject({
+        base: { $type: 'number', $descriptoin: 'x', one: { $value: 1 } },
+        derived: { $extends: '{base}' }
+      });
+      expect(result.warnings).toHaveLength(1);
+    });
+  });
+
+  describe('Deprecated references', () => {
+    const base = {
+      color: {
+        $type: 'color',
+        brand: { $value: '#0066cc' },
+        old: { $value: '#0055aa', $deprecated: 'Use {color.brand} instead' },
+        retired: { $value: '#003377', $deprecated: true }
+      },
+      legacy: {
+        $type: 'color',
+        $deprecated: 'The legacy palette will be removed in v3',
+        blue: { $value: '#0000ff' },
+        kept: { $value: '#0000cc', $deprecated: false }
+      }
+    };
+
+    it('should warn when a token aliases a deprecated token', () => {
+      const result = validateTokensObject({
+        ...base,
+        action: { $type: 'color', $value: '{color.old}' }
+      });
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual(['Reference "{color.old}" at action uses deprecated token color.old: Use {color.brand} instead']);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'reference/deprecated', severity: 'warning', path: ['action'], valuePath: ['$value'] });
+    });
+
+    it('should warn at every token whose alias chain passes through a deprecated token', () => {
+      const result = validateTokensObject({
+        ...base,
+        semantic: {
+          $type: 'color',
+          action: { $value: '{color.retired}' },
+          hover: { $value: '{semantic.action}' }
+        }
+      });
+      expect(result.warnings).toEqual([
+        'Reference "{color.retired}" at semantic.action uses deprecated token color.retired',
+        'Reference "{semantic.action}" at semantic.hover uses deprecated token color.retired'
+      ]);
+    });
+
+    it('should treat tokens in a deprecated group as deprecated', () => {
+      const result = validateTokensObject({
+        ...base,
+        link: { $type: 'color', $value: { $ref: '#/legacy/blue/$value' } },
+        visited: { $type: 'color', $value: '{legacy.kept}' }
+      });
+      expect(result.warnings).toEqual([
+        'Reference "#/legacy/blue/$value" at link uses deprecated token legacy.blue: The legacy palette will be removed in v3'
+      ]);
+    });
+
+    it('should warn about deprecated tokens referenced inside composite values', () => {
+      const result = validateTokensObject({
+        ...base,
+        border: { $type: 'border', $value: { color: '{color.old}', width: '1px', style: 'solid' } }
+      });
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'reference/deprecated', valuePath: ['$value', 'color'] });
+    });
+
+    it('should not warn about the deprecated tokens themselves', () => {
+      expect(validateTokensObject(base).diagnostics).toEqual([]);
+    });
+  });
+
+  describe('Spec versions', () => {
+    const draft = { spec: 'draft-2023' };
+    const token = (type, value) => ({ token: { $type: type, $value: value } });
+
+    it('should validate against 2025.10 by default', () => {
+      const tokens = token('duration', '200ms');
+      expect(validateTokensObject(tokens).diagnostics).toEqual(validateTokensObject(tokens, { spec: '2025.10' }).diagnostics);
+    });
+
+    it('should throw for unknown spec versions', () => {
+      expect(() => validateTokens('{}', { spec: '2019' })).toThrow('Unknown spec version "2019". Supported: 2025.10, draft-2023');
+    });
+
+    it('should accept 8-digit hex colors in draft-2023', () => {
+      expect(validateTokensObject(token('color', '#ff0000aa'), draft).diagnostics).toEqual([]);
+    });
+
+    it('should name the version allowing 8-digit hex colors', () => {
+      const result = validateTokensObject(token('color', '#ff0000aa'));
+      expect(result.warnings).toEqual(['Color at token should be in 6-digit hex format (#rrggbb) or a reference (allowed in draft-2023)']);
+    });
+
+    it('should accept draft dimension units', () => {
+      expect(validateTokensObject(token('dimension', '1.5em'), draft).valid).toBe(true);
+      expect(validateTokensObject(token('dimension', '1.5em')).errors).toEqual([
+        'Dimension at token must be a number with unit "px" or "rem" (e.g., "16px", "1rem") or a reference (allowed in draft-2023)'
+      ]);
+    });
+
+    it('should accept duration strings in draft-2023 only', () => {
+      expect(validateTokensObject(token('duration', '200ms'), draft).valid).toBe(true);
+      expect(validateTokensObject(token('duration', '200ms')).errors).toEqual([
+        'Duration at token must be an object with value and unit properties (allowed in draft-2023)'
+      ]);
+    });
+
+    it('should report malformed duration strings in draft-2023', () => {
+      const result = validateTokensObject(token('duration', '200 minutes'), draft);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'duration/format', message: 'Duration at token must be a number with unit "ms" or "s" (e.g., "200ms")' });
+    });
+
+    it('should report 2025.10 value objects in draft-2023', () => {
+      const result = validateTokensObject({
+        color: { $type: 'color', $value: { colorSpace: 'srgb', components: [1, 0, 0] } },
+        size: { $type: 'dimension', $value: { value: 8, unit: 'px' } },
+        fast: { $type: 'duration', $value: { value: 100, unit: 'ms' } }
+      }, draft);
+      expect(result.diagnostics.map(d => d.code)).toEqual(['spec/unsupported', 'spec/unsupported', 'spec/unsupported']);
+      expect(result.errors[0]).toBe('Color objects at color are not part of draft-2023 (allowed in 2025.10)');
+    });
+
+    it('should check the properties of composite values against the selected version', () => {
+      const result = validateTokensObject({
+        card: { $type: 'shadow', $value: { color: '#00000080', offsetX: '0px', offsetY: '2px', blur: '4px', spread: '0px' } },
+        fade: { $type: 'transition', $value: { duration: '200ms', delay: '0ms', timingFunction: [0.5, 0, 1, 1] } }
+      }, draft);
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    it('should report $ref references and $extends in draft-2023', () => {
+      const result = validateTokensObject({
+        color: { $type: 'color', blue: { $value: '#0066cc' }, link: { $value: { $ref: '#/color/blue/$value' } } },
+        button: { base: { background: { $type: 'color', $value: '{color.blue}' } }, primary: { $extends: '{button.base}' } }
+      }, draft);
+      expect(result.errors).toEqual([
+        'Groups extending other groups ($extends) at button.primary are not part of draft-2023 (allowed in 2025.10)',
+        'JSON Pointer references ($ref) at color.link are not part of draft-2023 (allowed in 2025.10)'
+      ]);
+    });
+
+    it('should apply the selected version to every file', () => {
+      const result = validateTokenFiles({
+        'core.json': JSON.stringify({ color: { $type: 'color', red: { $value: '#ff000080' } } }),
+        'motion.json': JSON.stringify({ motion: { fast: { $type: 'duration', $value: '100ms' } } })
+      }, draft);
+      expect(result.diagnostics).toEqual([]);
+    });
+  });
+
+  describe('Strict mode', () => {
+    const strict = { strict: true };
+
+    it('should keep accepting shorthands by default', () => {
+      const result = validateTokensObject({
+        spacing: { $type: 'dimension', small: { $value: '8px' }, none: { $value: 0 } },
+        color: { $type: 'color', primary: { $value: '#0066cc' } }
+      });
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    it('should reject dimension strings and numbers', () => {
+      const result = validateTokensObject({
+        spacing: { $type: 'dimension', small: { $value: '8px' }, none: { $value: 0 }, large: { $value: { value: 32, unit: 'px' } } }
+      }, strict);
+      expect(result.errors).toEqual([
+        'Dimension at spacing.small must be a dimension object in strict mode: { "value": 8, "unit": "px" }',
+        'Dimension at spacing.none must be a dimension object in strict mode: { "value": 0, "unit": "px" }'
+      ]);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'dimension/shorthand', valuePath: ['$value'], value: '8px' });
+    });
+
+    it('should reject color strings', () => {
+      const result = validateTokensObject({
+        color: { $type: 'color', primary: { $value: '#ff0000' }, named: { $value: 'red' } }
+      }, strict);
+      expect(result.errors).toEqual([
+        'Color at color.primary must be a color object in strict mode: { "colorSpace": "srgb", "components": [1, 0, 0], "hex": "#ff0000" }',
+        'Color at color.named must be a color object in strict mode'
+      ]);
+    });
+
+    it('should suggest the converted value', () => {
+      const result = analyzeErrors(validateTokensObject({ size: { $type: 'dimension', $value: '1.5rem' } }, strict));
+      expect(result.analysis.suggestions).toEqual(['Replace "1.5rem" with { "value": 1.5, "unit": "rem" }']);
+    });
+
+    it('should check the properties of composite values', () => {
+      const result = validateTokensObject({
+        border: { $type: 'border', $value: { color: '#000000', width: '1px', style: 'solid' } }
+      }, strict);
+      expect(result.diagnostics.map(d => [d.code, d.valuePath])).toEqual([
+        ['color/shorthand', ['$value', 'color']],
+        ['dimension/shorthand', ['$value', 'width']]
+      ]);
+    });
+
+    it('should allow references', () => {
+      const result = validateTokensObject({
+        color: { $type: 'color', base: { $value: { colorSpace: 'srgb', components: [0, 0, 0] } }, text: { $value: '{color.base}' } },
+        border: { $type: 'border', $value: { color: '{color.base}', width: { value: 1, unit: 'px' }, style: 'solid' } }
+      }, strict);
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    it('should keep the string forms of spec versions without object forms', () => {
+      const result = validateTokensObject({ size: { $type: 'dimension', $value: '8px' } }, { strict: true, spec: 'draft-2023' });
+      expect(result.diagnostics).toEqual([]);
+    });
+  });
+
+  describe('Rule severities', () => {
+    const tokens = JSON.stringify({
+      color: { $type: 'color', overlay: { $value: '#00000080' } },
+      text: {
+        $type: 'typography',
+        $value: { fontFamily: 'Inter', fontSize: '16px', fontWeight: 400, letterSpacing: { value: 0, unit: 'px' }, lineHeight: 1.5, textTransform: 'uppercase' }
+      }
+    });
+
+    it('should change the severity of configured rules', () => {
+      const result = validateTokens(tokens, { rules: { 'color/hex-format': 'info', 'typography/unknown-property': 'error' } });
+      expect(result.valid).toBe(false);
+      expect(result.diagnostics.map(d => [d.code, d.severity])).toEqual([
+        ['color/hex-format', 'info'],
+        ['typography/unknown-property', 'error']
+      ]);
+      expect(result.infos).toHaveLength(1);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should drop diagnostics of rules that are off', () => {
+      const result = validateTokens(tokens, { rules: { 'color/hex-format': 'off', 'typography/unknown-property': 'off' } });
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    it('should apply severities to duplicate keys and syntax errors', () => {
+      expect(validateTokens('{ "a": { "$type": "number", "$value": 1, "$value": 2 } }', { rules: { 'json/duplicate-key': 'warning' } }).valid).toBe(true);
+      expect(validateTokens('{', { rules: { 'json/syntax': 'warning' } }).warnings).toHaveLength(1);
+    });
+
+    it('should apply severities to every file', () => {
+      const result = validateTokenFiles({ 'a.json': tokens, 'b.json': tokens }, { rules: { 'color/hex-format': 'off' } });
+      expect(result.diagnostics.map(d => d.code)).toEqual([
+        'token/conflicting-definition',
+        'token/conflicting-definition',
+        'typography/unknown-property',
+        'typography/unknown-property'
+      ]);
+    });
+
+    it('should turn warnings into errors with the strict preset', () => {
+      const result = validateTokens(tokens, { preset: 'strict' });
+      expect(result.warnings).toEqual([]);
+      expect(result.diagnostics.map(d => d.code)).toEqual(['color/shorthand', 'typography/unknown-property', 'dimension/shorthand']);
+    });
+  });
+
+  describe('Plugins', () => {
+    const spacingGrid = {
+      category: 'value',
+      severity: 'error',
+      details: 'Spacing follows the 4px grid.',
+      suggestion: diagnostic => `Round ${diagnostic.value}px to a multiple of 4px.`,
+      check(token, report) {
+        if (token.type === 'dimension' && token.value.value % 4 !== 0) {
+          report(`Spacing at ${token.name} is not a multiple of 4px`, { valuePath: ['$value', 'value'], value: token.value.value });
+        }
+      }
+    };
+    const descriptions = {
+      category: 'structure',
+      severity: 'warning',
+      details: 'Every token documents its purpose.',
+      suggestion: 'Add a $description.',
+      check(token, report) {
+        if (!token.token.$description) {
+          report(`Token at ${token.name} has no $description`);
+        }
+      }
+    };
+    const acme = { name: 'acme', rules: { 'acme/spacing-grid': spacingGrid, 'acme/description': descriptions } };
+    const tokens = {
+      spacing: {
+        $type: 'dimension',
+        small: { $value: { value: 4, unit: 'px' }, $description: 'Small gaps' },
+        odd: { $value: { value: 6, unit: 'px' }, $description: 'Odd gaps' },
+        alias: { $value: '{spacing.odd}', $description: 'Alias of odd' }
+      }
+    };
+
+    it('should report diagnostics of plugin rules', () => {
+      const result = validateTokensObject(tokens, { plugins: [acme] });
+      expect(result.valid).toBe(false);
+      expect(result.diagnostics).toEqual([
+        expect.objectContaining({ code: 'acme/spacing-grid', severity: 'error', category: 'value', path: ['spacing', 'odd'], valuePath: ['$value', 'value'], value: 6 }),
+        expect.objectContaining({ code: 'acme/spacing-grid', message: 'Spacing at spacing.alias is not a multiple of 4px' })
+      ]);
+    });
+
+    it('should pass the token with its groups and the registry', () => {
+      const seen = [];
+      const spy = { ...descriptions, check: token => seen.push(token) };
+      validateTokensObject(tokens, { plugins: [{ name: 'spy', rules: { 'spy/tokens': spy } }] });
+
+      expect(seen.map(token => token.name)).toEqual(['spacing.small', 'spacing.odd', 'spacing.alias']);
+      expect(seen[2]).toMatchObject({
+        path: ['spacing', 'alias'],
+        value: { value: 6, unit: 'px' },
+        type: 'dimension',
+        token: tokens.spacing.alias,
+        groups: [tokens.spacing]
+      });
+      expect(seen[2].registry.get('spacing.small').$type).toBe('dimension');
+    });
+
+    it('should configure plugin rules like built-in rules', () => {
+      const result = validateTokensObject({ ...tokens, size: { $type: 'number', $value: 1 } }, {
+        plugins: [acme],
+        rules: { 'acme/spacing-grid': 'off', 'acme/description': 'error' }
+      });
+      expect(result.errors).toEqual(['Token at size has no $description']);
+    });
+
+    it('should explain diagnostics of plugin rules', () => {
+      const result = analyzeErrors(validateTokensObject(tokens, { plugins: [acme] }), { plugins: [acme] });
+      expect(result.analysis.categories.value[0]).toMatchObject({
+        code: 'acme/spacing-grid',
+        details: 'Spacing follows the 4px grid.',
+        suggestion: 'Round 6px to a multiple of 4px.',
+        spec: null
+      });
+    });
+
+    it('should explain diagnostics of plugin rules by their message without the plugins', () => {
+      const result = analyzeErrors(validateTokensObject(tokens, { plugins: [acme] }));
+      expect(result.analysis.categories.value[0]).toMatchObject({
+        code: 'acme/spacing-grid',
+        details: 'Spacing at spacing.odd is not a multiple of 4px',
+        suggestion: null,
+        spec: null
+      });
+    });
+
+    it('should run plugin rules on tokens of every file', () => {
+      const result = validateTokenFiles({
+        'core.json': JSON.stringify({ spacing: tokens.spacing }),
+        'extra.json': JSON.stringify({ size: { $type: 'number', $value: 1 } })
+      }, { plugins: [acme] });
+      expect(result.diagnostics.map(d => [d.file, d.code])).toEqual([
+        ['core.json', 'acme/spacing-grid'],
+        ['core.json', 'acme/spacing-grid'],
+        ['extra.json', 'acme/description']
+      ]);
+    });
+  });
+
+  describe('Custom token types', () => {
+    const acme = {
+      name: 'acme',
+      types: {
+        opacity: {
+          validate(value, report) {
+            if (typeof value !== 'number' || value < 0 || value > 1) {
+              report('must be a number between 0 and 1');
+            }
+          },
+          convert: value => String(value)
+        },
+        breakpoint: {
+          properties: { minWidth: 'dimension', columns: 'number', overlay: 'opacity' },
+          validate(value, report) {
+            if (!('minWidth' in value)) {
+              report('must have a minWidth property', { valuePath: ['minWidth'] });
+            }
+          }
+        }
+      }
+    };
+
+    it('should validate values of custom types', () => {
+      const result = validateTokensObject({
+        opacity: { $type: 'opacity', disabled: { $value: 0.4 }, invalid: { $value: 1.5 } }
+      }, { plugins: [acme] });
+      expect(result.diagnostics).toEqual([
+        expect.objectContaining({
+          code: 'custom-type/value',
+          message: 'opacity at opacity.invalid must be a number between 0 and 1',
+          path: ['opacity', 'invalid'],
+          valuePath: ['$value'],
+          value: 1.5
+        })
+      ]);
+    });
+
+    it('should still warn about unregistered types', () => {
+      const result = validateTokensObject({ layer: { $type: 'zIndex', $value: 10 } }, { plugins: [acme] });
+      expect(result.warnings).toEqual(['Unknown $type "zIndex" at layer']);
+    });
+
+    it('should validate the properties of composite custom types', () => {
+      const result = validateTokensObject({
+        opacity: { $type: 'opacity', scrim: { $value: 0.5 }, size: { $type: 'number', $value: 2 } },
+        breakpoint: {
+          $type: 'breakpoint',
+          tablet: { $value: { minWidth: '768px', columns: 8, overlay: '{opacity.scrim}' } },
+          desktop: { $value: { columns: 'twelve', overlay: 2 } },
+          wide: { $value: { minWidth: '1440px', overlay: '{opacity.size}' } },
+          print: { $value: 'A4' }
+        }
+      }, { plugins: [acme] });
+      expect(result.errors).toEqual([
+        'number at breakpoint.desktop.columns must be a number',
+        'opacity at breakpoint.desktop.overlay must be a number between 0 and 1',
+        'breakpoint at breakpoint.desktop.minWidth must have a minWidth property',
+        'Reference "{opacity.size}" at breakpoint.wide.overlay resolves to a number token, but overlay must be a opacity',
+        'breakpoint at breakpoint.print must be an object'
+      ]);
+    });
+
+    it('should resolve aliases to custom type tokens', () => {
+      const result = validateTokensObject({
+        opacity: { $type: 'opacity', base: { $value: 2 }, alias: { $value: '{opacity.base}' } }
+      }, { plugins: [acme] });
+      expect(result.diagnostics.map(d => d.path)).toEqual([['opacity', 'base'], ['opacity', 'alias']]);
+    });
+
+    it('should accept aliases to custom types listed for properties of built-in composites', () => {
+      const paint = {
+        name: 'paint',
+        types: {
+          paint: {
+            composites: ['border.color'],
+            validate(value, report) {
+              if (typeof value !== 'string' || !value.startsWith('var(')) {
+                report('must be a CSS variable');
+              }
+            }
+          }
+        }
+      };
+      const result = validateTokensObject({
+        paint: { $type: 'paint', brand: { $value: 'var(--brand)' }, broken: { $value: 3 } },
+        border: {
+          $type: 'border',
+          brand: { $value: { color: '{paint.brand}', width: '1px', style: 'solid' } },
+          broken: { $value: { color: '{paint.broken}', width: '1px', style: 'solid' } },
+          thick: { $value: { color: '#000000', width: '{paint.brand}', style: 'solid' } }
+        }
+      }, { plugins: [paint] });
+      expect(result.errors).toEqual([
+        'paint at paint.broken must be a CSS variable',
+        'paint at border.broken.color must be a CSS variable',
+        'Reference "{paint.brand}" at border.thick.width resolves to a paint token, but width must be a dimension'
+      ]);
+    });
+
+    it('should keep custom types declared outside composites out of them', () => {
+      const plugin = composites => ({
+        name: 'acme',
+        types: {
+          layer: { composites, validate() {} },
+          stack: { properties: { base: 'layer' } }
+        }
+      });
+      expect(() => validateTokensObject({}, { plugins: [plugin(false)] }))
+        .toThrow('Property "base" of type "stack" has type "layer", which cannot appear inside composites');
+      expect(() => validateTokensObject({}, { plugins: [plugin(['shadow.offset'])] }))
+        .toThrow('Type "layer" of plugin "acme" lists "shadow.offset" in composites, which is not a property of a built-in composite type, e.g. "shadow.color"');
+      expect(() => validateTokensObject({}, { plugins: [plugin(true)] })).not.toThrow();
+    });
+
+    it('should look up built-in and custom token types', () => {
+      expect(getTokenType('border')).toEqual({
+        name: 'border',
+        builtIn: true,
+        properties: { color: 'color', width: 'dimension', style: 'strokeStyle' }
+      });
+      expect(getTokenType('opacity', { plugins: [acme] })).toMatchObject({ name: 'opacity', builtIn: false, properties: null });
+      expect(getTokenType('opacity', { plugins: [acme] }).convert(0.4)).toBe('0.4');
+      expect(getTokenType('breakpoint', { plugins: [acme] }).properties).toEqual({ minWidth: 'dimension', columns: 'number', overlay: 'opacity' });
+      expect(getTokenType('opacity')).toBeNull();
+    });
+  });
+
+  describe('Suppressions', () => {
+    const ignore = (rules, reason) => ({ $extensions: { 'org.dtcg-validator': { ignore: rules, reason } } });
+
+    it('should suppress diagnostics of a token', () => {
+      const result = validateTokensObject({
+        color: {
+          $type: 'color',
+          overlay: { $value: '#00000080', ...ignore(['color/hex-format'], 'Overlays need transparency') },
+          shade: { $value: '#00000080' }
+        }
+      });
+      expect(result.warnings).toEqual(['Color at color.shade should be in 6-digit hex format (#rrggbb) or a reference (allowed in draft-2023)']);
+      expect(result.suppressed).toEqual([
+        expect.objectContaining({
+          code: 'color/hex-format',
+          path: ['color', 'overlay'],
+          suppression: { path: ['color', 'overlay'], reason: 'Overlays need transparency' }
+        })
+      ]);
+    });
+
+    it('should inherit suppressions from groups', () => {
+      const result = validateTokensObject({
+        legacy: {
+          ...ignore(['color/hex-format', 'token/missing-value']),
+          palette: { $type: 'color', red: { $value: '#ff000080' }, blue: { $value: '#0000ff80' }, empty: { $type: 'color' } }
+        }
+      });
+      expect(result.diagnostics).toEqual([]);
+      expect(result.suppressed.map(d => d.path.join('.'))).toEqual(['legacy.palette.red', 'legacy.palette.blue', 'legacy.palette.empty']);
+      expect(result.suppressed[0].suppression.path).toEqual(['legacy']);
+    });
+
+    it('should report unused suppressions', () => {
+      const result = validateTokens(JSON.stringify({
+        color: { $type: 'color', primary: { $value: '#0066cc', ...ignore(['color/hex-format']) } }
+      }, null, 2));
+      expect(result.valid).toBe(true);
+      expect(result.diagnostics).toEqual([
+        expect.objectContaining({
+          code: 'suppression/unused',
+          message: 'Rule "color/hex-format" is suppressed at color.primary but reports no problems there',
+          valuePath: ['$extensions', 'org.dtcg-validator', 'ignore', 0],
+          range: expect.objectContaining({ start: expect.objectContaining({ line: 9 }) })
+        })
+      ]);
+    });
+
+    it('should report malformed suppressions and unknown rules', () => {
+      const result = validateTokensObject({
+        a: { $type: 'number', $value: 1, $extensions: { 'org.dtcg-validator': { ignore: 'number/type' } } },
+        b: { $type: 'number', $value: 1, ...ignore(['number/typo']) }
+      });
+      expect(result.errors).toEqual([
+        'Suppression at a must be an object with an "ignore" array of rule codes',
+        'Unknown rule "number/typo" in suppression at b'
+      ]);
+    });
+
+    it('should suppress diagnostics of plugin rules and apply configured severities', () => {
+      const plugin = {
+        name: 'acme',
+        rules: { 'acme/everything': { category: 'value', severity: 'error', details: 'd', suggestion: 's', check: (token, report) => report('Nope') } }
+      };
+      const result = validateTokensObject(
+        { size: { $type: 'number', $value: 1, ...ignore(['acme/everything', 'number/type']) } },
+        { plugins: [plugin], rules: { 'suppression/unused': 'info' } }
+      );
+      expect(result.valid).toBe(true);
+      expect(result.suppressed.map(d => d.code)).toEqual(['acme/everything']);
+      expect(result.infos).toEqual(['Rule "number/type" is suppressed at size but reports no problems there']);
+    });
+
+    it('should apply suppressions in the file declaring them', () => {
+      const result = validateTokenFiles({
+        'core.json': JSON.stringify({ color: { $type: 'color', red: { $value: '#ff000080' }, ...ignore(['color/hex-format']) } }),
+        'brand.json': JSON.stringify({ brand: { $type: 'color', red: { $value: '#ff000080' } } })
+      });
+      expect(result.diagnostics.map(d => [d.file, d.code])).toEqual([['brand.json', 'color/hex-format']]);
+      expect(result.suppressed.map(d => [d.file, d.code])).toEqual([['core.json', 'color/hex-format']]);
+      expect(result.suppressed[0].range).not.toBeNull();
+    });
+  });
 });
@@ -0,0 +1,133 @@
+/**
+ * Finds token files for the command line from files, directories and globs
+ * Globs support `*` and `?` within a path segment and `**` across segments,
+ * e.g. "tokens/**" matches every file under tokens
+ */
+
+import { readdirSync, statSync } from 'node:fs';
+import { basename, join, resolve, sep } from 'node:path';
+import { CONFIG_FILE_NAME } from './config.js';
+
+const GLOB_CHARACTERS = /[*?]/;
+
+/**
+ * Directories never searched for token files
+ */
+const IGNORED_DIRECTORIES = ['node_modules'];
+
+/**
+ * Extensions of the files directories contribute, from the .tokens and
+ * .tokens.json extensions of the Format Module to plain .json
+ */
+const TOKEN_FILE_EXTENSIONS = ['.tokens', '.json'];
+
+/**
+ * JSON files in directories that are never token files
+ */
+const IGNORED_FILES = ['package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'composer.json', 'tsconfig.json', 'jsconfig.json', CONFIG_FILE_NAME];
+
+/**
+ * Converts a glob to a regular expression matching whole paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let idx = 0; idx < glob.length; idx++) {
+    const char = glob[idx];
+    if (char === '*' && glob[idx + 1] === '*') {
+      // "**/" matches any number of directories, including none
+      const slash = glob[idx + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      idx += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Converts a path to forward slashes for glob matching
+ */
+function toPosix(path) {
+  return path.split(sep).join('/');
+}
+
+/**
+ * Lists the files in a directory and its subdirectories
+ * Hidden and ignored directories are skipped
+ */
+function walk(directory) {
+  const files = [];
+  for (const entry of readdirSync(directory, { withFileTypes: true })) {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !IGNORED_DIRECTORIES.includes(entry.name)) {
+        files.push(...walk(path));
+      }
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Checks if a file found in a directory is a token file
+ */
+function isTokenFile(path) {
+  const name = basename(path);
+  return TOKEN_FILE_EXTENSIONS.some(extension => name.endsWith(extension)) && !IGNORED_FILES.includes(name);
+}
+
+/**
+ * Returns the stats of a path, or null if it does not exist
+ */
+function statOrNull(path) {
+  try {
+    return statSync(path);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Expands files, directories and globs into a sorted list of absolute paths
+ * Directories contribute their .tokens, .tokens.json and .json files, except
+ * package manifests, lockfiles and the config file. Returns { files, unmatched },
+ * where unmatched lists the patterns that found no files
+ */
+export function findTokenFiles(patterns, cwd) {
+  const files = new Set();
+  const unmatched = [];
+
+  for (const pattern of patterns) {
+    const path = resolve(cwd, pattern);
+    let found = [];
+
+    if (GLOB_CHARACTERS.test(pattern)) {
+      // Search from the directory before the first segment with a glob
+      const segments = toPosix(path).split('/');
+      const base = segments.slice(0, segments.findIndex(segment => GLOB_CHARACTERS.test(segment))).join('/') || '/';
+      const matcher = globToRegExp(toPosix(path));
+      found = statOrNull(base)?.isDirectory() ? walk(base).filter(file => matcher.test(toPosix(file))) : [];
+    } else {
+      const stats = statOrNull(path);
+      if (stats?.isDirectory()) {
+        found = walk(path).filter(isTokenFile);
+      } else if (stats?.isFile()) {
+        found = [path];
+      }
+    }
+
+    if (found.length === 0) {
+      unmatched.push(pattern);
+    }
+    found.forEach(file => files.add(file));
+  }
+
+  return { files: [...files].sort(), unmatched };
+}
@@ -0,0 +1,141 @@
+/**
+ * Autofix: applies the machine-applicable fixes attached to diagnostics
+ *
+ * A diagnostic with a deterministic repair carries a `fix`:
+ *
+ *   {
+ *     description: 'Convert "#00000080" to a color object with alpha',
+ *     edits: [{ location: ['shadow', 'color', '$value'], previous: '#00000080', value: { ... } }]
+ *   }
+ *
+ * An edit either replaces the `previous` value at a location with `value`, or
+ * moves the token or group at a location `to` another path.
+ */
+
+import { validateTokens, validateTokensObject } from './dtcgValidator.js';
+import { parseJson, findDuplicateKeys, getAtPointer } from './jsonParser.js';
+
+/**
+ * Fixing a document can reveal further fixable problems, e.g. a dotted name
+ * moved into groups; passes stop once nothing changes
+ */
+const MAX_FIX_PASSES = 10;
+
+/**
+ * Checks if a value is a group or token object
+ */
+function isNode(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Replaces the value at a location if it is still the one the fix was made for
+ */
+function applyReplace(tokens, { location, previous, value }) {
+  const parent = getAtPointer(tokens, location.slice(0, -1));
+  const key = location[location.length - 1];
+  if (typeof parent !== 'object' || parent === null || !Object.is(getAtPointer(tokens, location), previous)) {
+    return false;
+  }
+  parent[key] = value;
+  return true;
+}
+
+/**
+ * Moves a token or group to another path, creating the groups on the way
+ * Nothing moves if the target path is taken
+ */
+function applyMove(tokens, { location, to }) {
+  const parent = getAtPointer(tokens, location.slice(0, -1));
+  const key = location[location.length - 1];
+  if (!isNode(parent) || !Object.hasOwn(parent, key)) {
+    return false;
+  }
+
+  let target = tokens;
+  for (const segment of to.slice(0, -1)) {
+    const child = target[segment];
+    if (child !== undefined && (!isNode(child) || '$value' in child)) {
+      return false;
+    }
+    target = child ?? {};
+  }
+  if (target[to[to.length - 1]] !== undefined) {
+    return false;
+  }
+
+  const node = parent[key];
+  delete parent[key];
+  let group = tokens;
+  for (const segment of to.slice(0, -1)) {
+    group[segment] ??= {};
+    group = group[segment];
+  }
+  group[to[to.length - 1]] = node;
+  return true;
+}
+
+/**
+ * Applies the edits of a fix in order, stopping at one that no longer applies
+ */
+function applyFix(tokens, fix) {
+  return fix.edits.every(edit => edit.to ? applyMove(tokens, edit) : applyReplace(tokens, edit));
+}
+
+/**
+ * Orders fixes so earlier ones do not move the locations of later ones:
+ * replacements first, then moves of the deepest tokens and groups
+ */
+function compareFixes(a, b) {
+  const moveDepth = fix => Math.max(0, ...fix.edits.filter(edit => edit.to).map(edit => edit.location.length));
+  const [depthA, depthB] = [moveDepth(a.fix), moveDepth(b.fix)];
+  if (depthA === 0 || depthB === 0) {
+    return depthA - depthB;
+  }
+  return depthB - depthA;
+}
+
+/**
+ * Applies the fixes of the diagnostics a validation reports
+ * `input` is a JSON string or a token object; `options` are the validation
+ * options, so rules set to "off" and suppressed diagnostics are not fixed
+ *
+ * Returns { output, changes, result }: the fixed document in the form of the
+ * input, the fixes applied as { code, path, description }, and the validation
+ * result of the output. JSON that does not parse, or has duplicate keys that
+ * rewriting it would drop, is returned as is
+ */
+export function fixTokens(input, options = {}) {
+  const isString = typeof input === 'string';
+  const validate = isString ? validateTokens : validateTokensObject;
+
+  let tokens;
+  if (isString) {
+    const parsed = parseJson(input);
+    if (parsed.error || findDuplicateKeys(parsed.ast).length > 0) {
+      return { output: input, changes: [], result: validate(input, options) };
+    }
+    tokens = parsed.value;
+  } else {
+    tokens = structuredClone(input);
+  }
+
+  const changes = [];
+  for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+    const fixable = validateTokensObject(tokens, options).diagnostics
+      .filter(diagnostic => diagnostic.fix)
+      .sort(compareFixes);
+
+    const applied = fixable.filter(diagnostic => applyFix(tokens, diagnostic.fix));
+    changes.push(...applied.map(({ code, path, fix }) => ({ code, path, description: fix.description })));
+    if (applied.length === 0) {
+      break;
+    }
+  }
+
+  if (changes.length === 0) {
+    return { output: input, changes, result: validate(input, options) };
+  }
+  const output = isString ? JSON.stringify(tokens, null, 2) : tokens;
+  return { output, changes, result: validate(output, options) };
+}
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import { fixTokens } from './fix.js';
+import { validateTokensObject } from './dtcgValidator.js';
+
+describe('Autofix', () => {
+  describe('fixes attached to diagnostics', () => {
+    it('should attach a fix converting 8-digit hex to a color object', () => {
+      const result = validateTokensObject({ overlay: { $type: 'color', $value: '#00000080' } });
+      expect(result.diagnostics[0].fix).toEqual({
+        description: 'Convert "#00000080" to a color object with alpha',
+        edits: [{
+          location: ['overlay', '$value'],
+          previous: '#00000080',
+          value: { colorSpace: 'srgb', components: [0, 0, 0], hex: '#000000', alpha: 0.502 }
+        }]
+      });
+    });
+
+    it('should not attach fixes to values reached through an alias', () => {
+      const result = validateTokensObject({
+        base: { $type: 'color', $value: '#00000080' },
+        alias: { $type: 'color', $value: '{base}' }
+      });
+      const fixable = result.diagnostics.filter(diagnostic => diagnostic.fix);
+      expect(fixable.map(diagnostic => diagnostic.path)).toEqual([['base']]);
+    });
+
+    it('should not attach fixes the spec version cannot express', () => {
+      const result = validateTokensObject({ size: { $type: 'dimension', $value: '2vw' } });
+      expect(result.diagnostics[0].fix).toBeUndefined();
+    });
+  });
+
+  describe('fixTokens', () => {
+    it('should convert 8-digit hex colors to color objects with alpha', () => {
+      const { output, changes } = fixTokens({ overlay: { $type: 'color', $value: '#0000ff80' } });
+      expect(output.overlay.$value).toEqual({ colorSpace: 'srgb', components: [0, 0, 1], hex: '#0000ff', alpha: 0.502 });
+      expect(changes).toEqual([
+        { code: 'color/hex-format', path: ['overlay'], description: 'Convert "#0000ff80" to a color object with alpha' }
+      ]);
+    });
+
+    it('should convert em dimensions to rem', () => {
+      const { output } = fixTokens({
+        size: {
+          $type: 'dimension',
+          small: { $value: '8em' },
+          large: { $value: { value: 2, unit: 'em' } }
+        }
+      });
+      expect(output.size.small.$value).toBe('8rem');
+      expect(output.size.large.$value).toEqual({ value: 2, unit: 'rem' });
+    });
+
+    it('should convert dimension strings to objects in strict mode', () => {
+      const { output, result } = fixTokens({ space: { $type: 'dimension', $value: '16px' } }, { strict: true });
+      expect(output.space.$value).toEqual({ value: 16, unit: 'px' });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should chain fixes, e.g. em to rem to a dimension object in strict mode', () => {
+      const { output, changes } = fixTokens({ space: { $type: 'dimension', $value: '1.5em' } }, { strict: true });
+      expect(output.space.$value).toEqual({ value: 1.5, unit: 'rem' });
+      expect(changes.map(change => change.code)).toEqual(['dimension/format', 'dimension/shorthand']);
+    });
+
+    it('should normalize hue components', () => {
+      const { output } = fixTokens({
+        accent: { $type: 'color', $value: { colorSpace: 'hsl', components: [360, 50, 50] } },
+        muted: { $type: 'color', $value: { colorSpace: 'oklch', components: [0.5, 0.1, -30] } }
+      });
+      expect(output.accent.$value.components).toEqual([0, 50, 50]);
+      expect(output.muted.$value.components).toEqual([0.5, 0.1, 330]);
+    });
+
+    it('should default a missing shadow spread and fix string inset values', () => {
+      const { output, result } = fixTokens({
+        shadow: {
+          $type: 'shadow',
+          $value: {
+            color: '#000000',
+            offsetX: '0px',
+            offsetY: '2px',
+            blur: '4px',
+            inset: 'true'
+          }
+        }
+      });
+      expect(output.shadow.$value.spread).toEqual({ value: 0, unit: 'px' });
+      expect(output.shadow.$value.inset).toBe(true);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should move dotted names into nested groups', () => {
+      const { output, changes } = fixTokens({
+        size: {
+          $type: 'dimension',
+          medium: { $value: '16px' },
+          'spacing.small': { $value: '8px' }
+        }
+      });
+      expect(output.size).toEqual({
+        $type: 'dimension',
+        medium: { $value: '16px' },
+        spacing: { small: { $value: '8px' } }
+      });
+      expect(changes[0].description).toBe('Move "spacing.small" into nested groups spacing > small');
+    });
+
+    it('should not move dotted names onto existing tokens', () => {
+      const tokens = {
+        size: {
+          $type: 'dimension',
+          'spacing.small': { $value: '8px' },
+          spacing: { small: { $value: '4px' } }
+        }
+      };
+      const { output, changes } = fixTokens(tokens);
+      expect(output).toEqual(tokens);
+      expect(changes).toEqual([]);
+    });
+
+    it('should not fix rules that are turned off', () => {
+      const tokens = { overlay: { $type: 'color', $value: '#00000080' } };
+      const { output, changes } = fixTokens(tokens, { rules: { 'color/hex-format': 'off' } });
+      expect(output).toEqual(tokens);
+      expect(changes).toEqual([]);
+    });
+
+    it('should not fix suppressed diagnostics', () => {
+      const tokens = {
+        overlay: {
+          $type: 'color',
+          $value: '#00000080',
+          $extensions: { 'org.dtcg-validator': { ignore: ['color/hex-format'] } }
+        }
+      };
+      expect(fixTokens(tokens).changes).toEqual([]);
+    });
+
+    it('should not modify the input object', () => {
+      const tokens = { overlay: { $type: 'color', $value: '#00000080' } };
+      fixTokens(tokens);
+      expect(tokens.overlay.$value).toBe('#00000080');
+    });
+
+    it('should rewrite JSON strings and validate the output', () => {
+      const input = '{"overlay":{"$type":"color","$value":"#00000080"}}';
+      const { output, result } = fixTokens(input);
+      expect(JSON.parse(output).overlay.$value.alpha).toBe(0.502);
+      expect(output).toContain('\n  "overlay"');
+      expect(result.valid).toBe(true);
+    });
+
+    it('should return JSON with duplicate keys unchanged', () => {
+      const input = '{"color":{"primary":{"$type":"color","$value":"#ff0000"},"primary":{"$type":"color","$value":"#00ff00"},"overlay":{"$type":"color","$value":"#00000080"}}}';
+      const { output, changes, result } = fixTokens(input);
+      expect(output).toBe(input);
+      expect(changes).toEqual([]);
+      expect(result.diagnostics.map(diagnostic => diagnostic.code)).toContain('json/duplicate-key');
+    });
+
+    it('should return JSON without fixes or that does not parse unchanged', () => {
+      const clean = '{"space":{"$type":"dimension","$value":"4px"}}';
+      expect(fixTokens(clean).output).toBe(clean);
+      const broken = '{"space":';
+      const { output, changes, result } = fixTokens(broken);
+      expect(output).toBe(broken);
+      expect(changes).toEqual([]);
+      expect(result.valid).toBe(false);
+    });
+  });
+});
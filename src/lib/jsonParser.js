@@ -0,0 +1,356 @@
+/**
+ * Position-aware JSON parser
+ * Parses JSON with the same result as JSON.parse, and additionally returns a
+ * syntax tree holding the source range of every key and value so diagnostics
+ * can point at a line and column
+ */
+
+/**
+ * Creates a function mapping a string offset to a 1-based line and column
+ */
+function createPositionLookup(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return offset => {
+    // Binary search for the last line starting at or before offset
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+  };
+}
+
+/**
+ * Describes the character at an offset for syntax error messages
+ */
+function describeCharacter(text, offset) {
+  return offset >= text.length ? 'end of input' : `character ${JSON.stringify(text[offset])}`;
+}
+
+/**
+ * Objects and arrays nested deeper than this are rejected, as parsing and
+ * validating them recursively would overflow the call stack
+ */
+const MAX_NESTING_DEPTH = 512;
+
+const NUMBER_PATTERN = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+const ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t'
+};
+
+/**
+ * Parses a JSON string
+ * Returns { value, ast } on success, or { error } with a message and the
+ * range of the offending input
+ *
+ * AST nodes have a `type`, their parsed `value` and `range`; object nodes
+ * list their `properties` as { key, keyRange, value } and array nodes their
+ * `items`. Ranges hold 1-based `line` and `column` plus the string `offset`
+ * of their start and (exclusive) end
+ */
+export function parseJson(text) {
+  const positionAt = createPositionLookup(text);
+  let offset = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  let depth = 0;
+
+  const fail = (message, start = offset, end = Math.min(start + 1, text.length)) => {
+    const error = new SyntaxError(message);
+    error.range = { start: positionAt(start), end: positionAt(end) };
+    throw error;
+  };
+
+  const rangeFrom = start => ({ start: positionAt(start), end: positionAt(offset) });
+
+  const skipWhitespace = () => {
+    while (offset < text.length) {
+      const char = text[offset];
+      if (char !== ' ' && char !== '\t' && char !== '\n' && char !== '\r') break;
+      offset++;
+    }
+  };
+
+  const expect = (char, context) => {
+    if (text[offset] !== char) {
+      fail(`Expected "${char}" ${context} but found ${describeCharacter(text, offset)}`);
+    }
+    offset++;
+  };
+
+  const parseString = () => {
+    const start = offset;
+    offset++;
+    let result = '';
+    let chunkStart = offset;
+
+    while (true) {
+      if (offset >= text.length) {
+        fail('Unterminated string', start, offset);
+      }
+      const char = text[offset];
+      if (char === '"') {
+        result += text.slice(chunkStart, offset);
+        offset++;
+        return { value: result, range: rangeFrom(start) };
+      }
+      if (char === '\\') {
+        result += text.slice(chunkStart, offset);
+        const escape = text[offset + 1];
+        if (escape === 'u') {
+          const hex = text.slice(offset + 2, offset + 6);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+            fail('Invalid unicode escape in string', offset, offset + 2 + hex.length);
+          }
+          result += String.fromCharCode(parseInt(hex, 16));
+          offset += 6;
+        } else if (escape !== undefined && Object.hasOwn(ESCAPES, escape)) {
+          result += ESCAPES[escape];
+          offset += 2;
+        } else {
+          fail(`Invalid escape sequence "\\${escape ?? ''}" in string`, offset, offset + 2);
+        }
+        chunkStart = offset;
+      } else if (char < ' ') {
+        fail('Unescaped control character in string');
+      } else {
+        offset++;
+      }
+    }
+  };
+
+  const parseNumber = () => {
+    const start = offset;
+    NUMBER_PATTERN.lastIndex = offset;
+    const match = NUMBER_PATTERN.exec(text);
+    if (!match) {
+      fail(`Unexpected ${describeCharacter(text, offset)}`);
+    }
+    offset += match[0].length;
+    return { type: 'number', value: Number(match[0]), range: rangeFrom(start) };
+  };
+
+  const parseLiteral = (word, value) => {
+    const start = offset;
+    if (text.slice(offset, offset + word.length) !== word) {
+      fail(`Unexpected ${describeCharacter(text, offset)}`);
+    }
+    offset += word.length;
+    return { type: value === null ? 'null' : 'boolean', value, range: rangeFrom(start) };
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const char = text[offset];
+
+    if (char === '{' || char === '[') {
+      if (depth === MAX_NESTING_DEPTH) {
+        fail(`Nesting too deep: objects and arrays may be nested at most ${MAX_NESTING_DEPTH} levels`);
+      }
+      depth++;
+      const node = char === '{' ? parseObject() : parseArray();
+      depth--;
+      return node;
+    }
+    if (char === '"') {
+      const { value, range } = parseString();
+      return { type: 'string', value, range };
+    }
+    if (char === 't') return parseLiteral('true', true);
+    if (char === 'f') return parseLiteral('false', false);
+    if (char === 'n') return parseLiteral('null', null);
+    if (char === '-' || (char >= '0' && char <= '9')) return parseNumber();
+
+    return fail(`Unexpected ${describeCharacter(text, offset)}, expected a value`);
+  };
+
+  const parseObject = () => {
+    const start = offset;
+    const value = {};
+    const properties = [];
+    offset++;
+    skipWhitespace();
+
+    if (text[offset] === '}') {
+      offset++;
+      return { type: 'object', value, properties, range: rangeFrom(start) };
+    }
+
+    while (true) {
+      skipWhitespace();
+      if (text[offset] !== '"') {
+        fail(`Expected property name but found ${describeCharacter(text, offset)}`);
+      }
+      const key = parseString();
+      skipWhitespace();
+      expect(':', `after property name "${key.value}"`);
+      const node = parseValue();
+
+      if (key.value === '__proto__') {
+        // Match JSON.parse: an own property, not the prototype
+        Object.defineProperty(value, key.value, { value: node.value, writable: true, enumerable: true, configurable: true });
+      } else {
+        value[key.value] = node.value;
+      }
+      properties.push({ key: key.value, keyRange: key.range, value: node });
+
+      skipWhitespace();
+      if (text[offset] === ',') {
+        offset++;
+        continue;
+      }
+      if (text[offset] === '}') {
+        offset++;
+        return { type: 'object', value, properties, range: rangeFrom(start) };
+      }
+      fail(`Expected "," or "}" after property value but found ${describeCharacter(text, offset)}`);
+    }
+  };
+
+  const parseArray = () => {
+    const start = offset;
+    const value = [];
+    const items = [];
+    offset++;
+    skipWhitespace();
+
+    if (text[offset] === ']') {
+      offset++;
+      return { type: 'array', value, items, range: rangeFrom(start) };
+    }
+
+    while (true) {
+      const node = parseValue();
+      value.push(node.value);
+      items.push(node);
+
+      skipWhitespace();
+      if (text[offset] === ',') {
+        offset++;
+        continue;
+      }
+      if (text[offset] === ']') {
+        offset++;
+        return { type: 'array', value, items, range: rangeFrom(start) };
+      }
+      fail(`Expected "," or "]" after array item but found ${describeCharacter(text, offset)}`);
+    }
+  };
+
+  try {
+    const ast = parseValue();
+    skipWhitespace();
+    if (offset < text.length) {
+      fail(`Unexpected ${describeCharacter(text, offset)} after end of document`);
+    }
+    return { value: ast.value, ast };
+  } catch (error) {
+    if (!error.range) throw error;
+    return { error: { message: error.message, range: error.range } };
+  }
+}
+
+/**
+ * Finds the source range of a location in a parsed document
+ * Falls back to the closest existing ancestor when the location does not
+ * exist (e.g. a missing property). With `preferKey`, the range of the
+ * property name is returned instead of its value
+ */
+export function findRange(ast, location, preferKey = false) {
+  let node = ast;
+  let keyRange = null;
+
+  for (const segment of location) {
+    let next = null;
+    if (node.type === 'object') {
+      // Last occurrence wins, like JSON.parse
+      for (let i = node.properties.length - 1; i >= 0; i--) {
+        if (node.properties[i].key === String(segment)) {
+          next = node.properties[i];
+          break;
+        }
+      }
+    } else if (node.type === 'array' && typeof segment === 'number') {
+      next = node.items[segment] ? { value: node.items[segment], keyRange: null } : null;
+    }
+
+    if (!next) {
+      return node.range;
+    }
+    node = next.value;
+    keyRange = next.keyRange;
+  }
+
+  return preferKey && keyRange ? keyRange : node.range;
+}
+
+/**
+ * Finds keys that appear more than once in the same object at any depth
+ * JSON.parse silently keeps the last occurrence, so the earlier ones are lost
+ * Returns [{ location, key, firstRange, range }] for every repeated occurrence
+ */
+export function findDuplicateKeys(ast, location = [], duplicates = []) {
+  if (ast.type === 'object') {
+    const firstOccurrences = new Map();
+    for (const property of ast.properties) {
+      const first = firstOccurrences.get(property.key);
+      if (first) {
+        duplicates.push({
+          location: [...location, property.key],
+          key: property.key,
+          firstRange: first.keyRange,
+          range: property.keyRange
+        });
+      } else {
+        firstOccurrences.set(property.key, property);
+      }
+      findDuplicateKeys(property.value, [...location, property.key], duplicates);
+    }
+  } else if (ast.type === 'array') {
+    ast.items.forEach((item, idx) => findDuplicateKeys(item, [...location, idx], duplicates));
+  }
+  return duplicates;
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into its unescaped segments
+ * A leading "#" (URI fragment form) is allowed
+ * e.g., "#/color/a~1b" => ["color", "a/b"]. Returns null if malformed
+ */
+export function parseJsonPointer(pointer) {
+  const path = pointer.startsWith('#') ? pointer.slice(1) : pointer;
+  if (path === '') return [];
+  if (!path.startsWith('/')) return null;
+  return path.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Looks up the value at the given pointer segments
+ * Returns undefined if any segment does not exist
+ */
+export function getAtPointer(value, segments) {
+  let current = value;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !Object.hasOwn(current, segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
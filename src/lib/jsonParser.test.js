@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { parseJson, findRange, findDuplicateKeys, parseJsonPointer, getAtPointer } from './jsonParser.js';
+
+describe('JSON parser', () => {
+  describe('Parsing', () => {
+    it('should produce the same value as JSON.parse', () => {
+      const source = '{"a": 1, "b": [true, false, null, "x\\u0041\\n"], "c": {"d": -1.5e3}, "e": ""}';
+      expect(parseJson(source).value).toEqual(JSON.parse(source));
+    });
+
+    it('should keep the last of duplicate keys like JSON.parse', () => {
+      expect(parseJson('{"a": 1, "a": 2}').value).toEqual({ a: 2 });
+    });
+
+    it('should keep __proto__ as an own property', () => {
+      const { value } = parseJson('{"__proto__": {"polluted": true}}');
+      expect(Object.keys(value)).toEqual(['__proto__']);
+      expect({}.polluted).toBeUndefined();
+    });
+
+    it('should ignore a leading byte order mark', () => {
+      expect(parseJson('\uFEFF{"a": 1}').value).toEqual({ a: 1 });
+    });
+  });
+
+  describe('Syntax errors', () => {
+    it('should report trailing commas with their position', () => {
+      const { error } = parseJson('{\n  "a": 1,\n}');
+      expect(error.message).toBe('Expected property name but found character "}"');
+      expect(error.range.start).toEqual({ line: 3, column: 1, offset: 12 });
+    });
+
+    it('should report missing commas between array items', () => {
+      const { error } = parseJson('[1 2]');
+      expect(error.message).toBe('Expected "," or "]" after array item but found character "2"');
+      expect(error.range.start).toMatchObject({ line: 1, column: 4 });
+    });
+
+    it('should report unterminated strings from their opening quote', () => {
+      const { error } = parseJson('{"a": "abc');
+      expect(error.message).toBe('Unterminated string');
+      expect(error.range.start).toMatchObject({ line: 1, column: 7 });
+      expect(error.range.end).toMatchObject({ line: 1, column: 11 });
+    });
+
+    it('should report unexpected end of input', () => {
+      expect(parseJson('{"a": ').error.message).toBe('Unexpected end of input, expected a value');
+    });
+
+    it('should report content after the document', () => {
+      const { error } = parseJson('{}\n}');
+      expect(error.message).toBe('Unexpected character "}" after end of document');
+      expect(error.range.start).toMatchObject({ line: 2, column: 1 });
+    });
+
+    it('should reject nesting too deep to parse instead of overflowing the stack', () => {
+      const { error } = parseJson('['.repeat(3000) + ']'.repeat(3000));
+      expect(error.message).toBe('Nesting too deep: objects and arrays may be nested at most 512 levels');
+      expect(error.range.start).toMatchObject({ line: 1, column: 513 });
+      expect(parseJson('['.repeat(512) + ']'.repeat(512)).error).toBeUndefined();
+    });
+
+    it('should reject invalid literals, numbers and escapes', () => {
+      expect(parseJson('tru').error).toBeDefined();
+      expect(parseJson('-').error).toBeDefined();
+      expect(parseJson('01').error).toBeDefined();
+      expect(parseJson('"\\x"').error.message).toBe('Invalid escape sequence "\\x" in string');
+      expect(parseJson('"a\tb"').error.message).toBe('Unescaped control character in string');
+    });
+  });
+
+  describe('findRange', () => {
+    const { ast } = parseJson('{\n  "color": {\n    "x": { "$value": [1, 22] }\n  }\n}');
+
+    it('should find the range of a nested value', () => {
+      const range = findRange(ast, ['color', 'x', '$value', 1]);
+      expect(range.start).toMatchObject({ line: 3, column: 26 });
+      expect(range.end).toMatchObject({ line: 3, column: 28 });
+    });
+
+    it('should find the range of a key', () => {
+      const range = findRange(ast, ['color', 'x'], true);
+      expect(range.start).toMatchObject({ line: 3, column: 5 });
+      expect(range.end).toMatchObject({ line: 3, column: 8 });
+    });
+
+    it('should fall back to the closest existing ancestor', () => {
+      const range = findRange(ast, ['color', 'x', '$type']);
+      expect(range.start).toMatchObject({ line: 3, column: 10 });
+    });
+  });
+
+  describe('findDuplicateKeys', () => {
+    it('should find repeated keys in nested objects and arrays', () => {
+      const { ast } = parseJson('{"a": {"b": 1, "b": 2}, "c": [{"d": 1, "d": 2}]}');
+      expect(findDuplicateKeys(ast).map(d => d.location)).toEqual([['a', 'b'], ['c', 0, 'd']]);
+    });
+
+    it('should return the ranges of the first and repeated key', () => {
+      const { ast } = parseJson('{\n  "x": 1,\n  "x": 2\n}');
+      const [duplicate] = findDuplicateKeys(ast);
+      expect(duplicate.firstRange.start).toMatchObject({ line: 2, column: 3 });
+      expect(duplicate.range.start).toMatchObject({ line: 3, column: 3 });
+    });
+
+    it('should not report the same key in different objects', () => {
+      const { ast } = parseJson('{"a": {"x": 1}, "b": {"x": 1}}');
+      expect(findDuplicateKeys(ast)).toEqual([]);
+    });
+  });
+
+  describe('JSON Pointer', () => {
+    it('should split pointers and unescape their segments', () => {
+      expect(parseJsonPointer('/color/a~1b/c~0d')).toEqual(['color', 'a/b', 'c~d']);
+      expect(parseJsonPointer('#/sets/core')).toEqual(['sets', 'core']);
+      expect(parseJsonPointer('#')).toEqual([]);
+    });
+
+    it('should reject pointers not starting with a slash', () => {
+      expect(parseJsonPointer('color/blue')).toBeNull();
+    });
+
+    it('should look up values by pointer segments', () => {
+      const value = { color: { blue: { $value: '#0000ff' } }, list: [1, 2] };
+      expect(getAtPointer(value, ['color', 'blue', '$value'])).toBe('#0000ff');
+      expect(getAtPointer(value, ['list', '1'])).toBe(2);
+      expect(getAtPointer(value, ['color', 'red'])).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Plugins add custom validation rules, e.g. house rules of a design system,
+ * and custom token types
+ *
+ * A plugin is an object with a `name` and `rules` keyed by rule codes in the
+ * plugin's namespace. Besides the category, severity, details and suggestion
+ * of built-in rules, each rule has a `check(token, report)` function called
+ * for every token:
+ *
+ *   {
+ *     name: 'acme',
+ *     rules: {
+ *       'acme/spacing-grid': {
+ *         category: 'value',
+ *         severity: 'warning',
+ *         details: 'Spacing follows the 4px grid.',
+ *         suggestion: 'Round the spacing to a multiple of 4px.',
+ *         check(token, report) {
+ *           if (token.type === 'dimension' && token.value.value % 4 !== 0) {
+ *             report(`Spacing at ${token.name} is not a multiple of 4px`, { valuePath: ['$value'] });
+ *           }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Custom token types are registered under `types`, keyed by the $type they
+ * define. A type has a `validate(value, report)` function, `properties` if
+ * its values are composite, or both. Optionally, `composites` declares where
+ * the type may appear inside composite values, and `convert(value)` turns
+ * values into another format, e.g. CSS, for tools that look the type up with
+ * getTokenType:
+ *
+ *   {
+ *     name: 'acme',
+ *     types: {
+ *       opacity: {
+ *         validate(value, report) {
+ *           if (typeof value !== 'number' || value < 0 || value > 1) {
+ *             report('must be a number between 0 and 1');
+ *           }
+ *         },
+ *         convert: value => String(value)
+ *       },
+ *       breakpoint: {
+ *         properties: { minWidth: 'dimension', columns: 'number' }
+ *       }
+ *     }
+ *   }
+ */
+
+import { ERROR_CATEGORIES, RULES } from './rules.js';
+import { VALID_TOKEN_TYPES, COMPOSITE_PROPERTY_TYPES } from './spec.js';
+import { createDiagnostic } from './diagnostics.js';
+
+const RULE_SEVERITIES = ['info', 'warning', 'error'];
+
+/**
+ * Collects the rules of all plugins, keyed by rule code
+ * Throws for malformed plugins and rules outside their plugin's namespace
+ */
+export function collectPluginRules(plugins = []) {
+  const rules = {};
+
+  for (const plugin of plugins) {
+    if (typeof plugin?.name !== 'string' || (plugin.rules === undefined && plugin.types === undefined)) {
+      throw new Error('Plugins must have a name and rules or types');
+    }
+
+    for (const [code, rule] of Object.entries(plugin.rules ?? {})) {
+      if (!code.startsWith(`${plugin.name}/`) || Object.hasOwn(RULES, code)) {
+        throw new Error(`Rule "${code}" of plugin "${plugin.name}" must be named "${plugin.name}/<rule>"`);
+      }
+      if (typeof rule.check !== 'function') {
+        throw new Error(`Rule "${code}" of plugin "${plugin.name}" must have a check function`);
+      }
+      if (!Object.values(ERROR_CATEGORIES).includes(rule.category)) {
+        throw new Error(`Rule "${code}" of plugin "${plugin.name}" has unknown category "${rule.category}". Supported: ${Object.values(ERROR_CATEGORIES).join(', ')}`);
+      }
+      if (!RULE_SEVERITIES.includes(rule.severity)) {
+        throw new Error(`Rule "${code}" of plugin "${plugin.name}" has invalid severity "${rule.severity}". Supported: ${RULE_SEVERITIES.join(', ')}`);
+      }
+      rules[code] = rule;
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Checks the `composites` option of a custom type:
+ * - true or omitted: the type may be the type of properties of custom
+ *   composite types
+ * - false: the type cannot appear inside composites
+ * - a list of properties of built-in composite types, e.g. ['shadow.color']:
+ *   besides custom composites, aliases to tokens of the type may be used for
+ *   these properties, and their values are validated against the type
+ * Throws for other values and unknown properties
+ */
+function validateComposites(name, composites, plugin) {
+  if (composites === undefined || typeof composites === 'boolean') {
+    return;
+  }
+  if (!Array.isArray(composites)) {
+    throw new Error(`Type "${name}" of plugin "${plugin.name}" must have a boolean or a list of properties as composites`);
+  }
+  for (const location of composites) {
+    const [composite, property, ...rest] = String(location).split('.');
+    if (rest.length > 0 || !Object.hasOwn(COMPOSITE_PROPERTY_TYPES[composite] ?? {}, property)) {
+      throw new Error(`Type "${name}" of plugin "${plugin.name}" lists "${location}" in composites, which is not a property of a built-in composite type, e.g. "shadow.color"`);
+    }
+  }
+}
+
+/**
+ * Collects the token types of all plugins, keyed by type name
+ * Throws for types that are already defined and malformed definitions
+ */
+export function collectPluginTypes(plugins = []) {
+  const types = {};
+
+  for (const plugin of plugins) {
+    for (const [name, type] of Object.entries(plugin.types ?? {})) {
+      if (VALID_TOKEN_TYPES.includes(name) || Object.hasOwn(types, name)) {
+        throw new Error(`Type "${name}" of plugin "${plugin.name}" is already defined`);
+      }
+      if (typeof type.validate !== 'function' && typeof type.properties !== 'object') {
+        throw new Error(`Type "${name}" of plugin "${plugin.name}" must have a validate function or properties`);
+      }
+      if (type.convert !== undefined && typeof type.convert !== 'function') {
+        throw new Error(`Type "${name}" of plugin "${plugin.name}" must have a convert function`);
+      }
+      validateComposites(name, type.composites, plugin);
+      types[name] = type;
+    }
+  }
+
+  // Properties may have the types of any plugin that allows it
+  for (const [name, type] of Object.entries(types)) {
+    for (const [property, propertyType] of Object.entries(type.properties ?? {})) {
+      if (!VALID_TOKEN_TYPES.includes(propertyType) && !Object.hasOwn(types, propertyType)) {
+        throw new Error(`Property "${property}" of type "${name}" has unknown type "${propertyType}"`);
+      }
+      if (types[propertyType]?.composites === false) {
+        throw new Error(`Property "${property}" of type "${name}" has type "${propertyType}", which cannot appear inside composites`);
+      }
+    }
+  }
+
+  return types;
+}
+
+/**
+ * Looks up a token type, built-in or registered by one of `options.plugins`
+ * Returns { name, builtIn, properties } with the definition of custom types,
+ * e.g. their `convert` function, or null for unknown types
+ */
+export function getTokenType(type, options = {}) {
+  if (VALID_TOKEN_TYPES.includes(type)) {
+    return { name: type, builtIn: true, properties: COMPOSITE_PROPERTY_TYPES[type] ?? null };
+  }
+  const types = collectPluginTypes(options.plugins);
+  if (!Object.hasOwn(types, type)) {
+    return null;
+  }
+  return { name: type, builtIn: false, properties: null, ...types[type] };
+}
+
+/**
+ * Runs the check of every plugin rule on a token
+ * Reported problems become diagnostics of the rule, located at the token or,
+ * with a `valuePath` such as ['$value', 'color'], inside it
+ */
+export function runPluginRules(rules, token, diagnostics) {
+  for (const [code, rule] of Object.entries(rules)) {
+    rule.check(token, (message, { valuePath = [], value } = {}) => {
+      diagnostics.push(createDiagnostic(code, message, [...token.path, ...valuePath], value, rule));
+    });
+  }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { collectPluginRules, collectPluginTypes } from './plugins.js';
+
+describe('Plugins', () => {
+  const rule = { category: 'value', severity: 'warning', details: 'Details', suggestion: 'Suggestion', check() {} };
+
+  describe('collectPluginRules', () => {
+    it('should collect the rules of all plugins', () => {
+      const rules = collectPluginRules([
+        { name: 'acme', rules: { 'acme/spacing-grid': rule } },
+        { name: 'brand', rules: { 'brand/colors': rule } }
+      ]);
+      expect(Object.keys(rules)).toEqual(['acme/spacing-grid', 'brand/colors']);
+    });
+
+    it('should require rule codes in the namespace of their plugin', () => {
+      expect(() => collectPluginRules([{ name: 'acme', rules: { 'spacing-grid': rule } }]))
+        .toThrow('Rule "spacing-grid" of plugin "acme" must be named "acme/<rule>"');
+      expect(() => collectPluginRules([{ name: 'color', rules: { 'color/type': rule } }]))
+        .toThrow('Rule "color/type" of plugin "color" must be named "color/<rule>"');
+    });
+
+    it('should reject malformed plugins and rules', () => {
+      expect(() => collectPluginRules([{ rules: {} }])).toThrow('Plugins must have a name and rules or types');
+      expect(() => collectPluginRules([{ name: 'acme', rules: { 'acme/a': { ...rule, check: undefined } } }]))
+        .toThrow('Rule "acme/a" of plugin "acme" must have a check function');
+      expect(() => collectPluginRules([{ name: 'acme', rules: { 'acme/a': { ...rule, category: 'style' } } }]))
+        .toThrow('Rule "acme/a" of plugin "acme" has unknown category "style". Supported: structure, type, value, naming, reference');
+      expect(() => collectPluginRules([{ name: 'acme', rules: { 'acme/a': { ...rule, severity: 'off' } } }]))
+        .toThrow('Rule "acme/a" of plugin "acme" has invalid severity "off". Supported: info, warning, error');
+    });
+  });
+
+  describe('collectPluginTypes', () => {
+    const opacity = { validate() {} };
+
+    it('should collect the types of all plugins', () => {
+      const types = collectPluginTypes([
+        { name: 'acme', types: { opacity } },
+        { name: 'layout', types: { breakpoint: { properties: { minWidth: 'dimension', opacity: 'opacity' } } } }
+      ]);
+      expect(Object.keys(types)).toEqual(['opacity', 'breakpoint']);
+    });
+
+    it('should reject types that are already defined', () => {
+      expect(() => collectPluginTypes([{ name: 'acme', types: { color: opacity } }]))
+        .toThrow('Type "color" of plugin "acme" is already defined');
+      expect(() => collectPluginTypes([{ name: 'a', types: { opacity } }, { name: 'b', types: { opacity } }]))
+        .toThrow('Type "opacity" of plugin "b" is already defined');
+    });
+
+    it('should reject malformed types', () => {
+      expect(() => collectPluginTypes([{ name: 'acme', types: { opacity: {} } }]))
+        .toThrow('Type "opacity" of plugin "acme" must have a validate function or properties');
+      expect(() => collectPluginTypes([{ name: 'acme', types: { opacity: { ...opacity, convert: 'css' } } }]))
+        .toThrow('Type "opacity" of plugin "acme" must have a convert function');
+      expect(() => collectPluginTypes([{ name: 'acme', types: { breakpoint: { properties: { minWidth: 'length' } } } }]))
+        .toThrow('Property "minWidth" of type "breakpoint" has unknown type "length"');
+    });
+  });
+});
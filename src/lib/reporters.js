@@ -0,0 +1,284 @@
+/**
+ * Report formats for validation results: text, JSON, SARIF 2.1.0, JUnit XML
+ * and GitHub workflow commands
+ *
+ * Every format takes a validation result, or a list of { file, result } as
+ * the command line validates one file at a time. `options.plugins` provides
+ * the metadata of plugin rules, as for analyzeErrors
+ */
+
+import { RULES } from './rules.js';
+import { collectPluginRules } from './plugins.js';
+import { formatPath } from './diagnostics.js';
+import { analyzeErrors } from './dtcgValidator.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const TOOL_NAME = 'dtcg-validate';
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+const GITHUB_COMMANDS = { error: 'error', warning: 'warning', info: 'notice' };
+
+/**
+ * Lists the { file, result } of each validated file
+ */
+function toReports(results) {
+  return Array.isArray(results) ? results : [{ file: undefined, result: results }];
+}
+
+/**
+ * Lists the diagnostics of the reports with their file and, if known, their
+ * 1-based line and column
+ * Results of validateTokenFiles name the file of each diagnostic
+ */
+function locateDiagnostics(reports) {
+  return reports.flatMap(({ file, result }) => result.diagnostics.map(diagnostic => ({
+    diagnostic,
+    file: diagnostic.file ?? file,
+    start: diagnostic.range?.start ?? null,
+    end: diagnostic.range?.end ?? null
+  })));
+}
+
+/**
+ * Counts diagnostics by severity
+ */
+function countSeverities(diagnostics) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  diagnostics.forEach(({ severity }) => counts[severity]++);
+  return counts;
+}
+
+/**
+ * Pluralizes a count, e.g. "1 error", "2 warnings"
+ */
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Formats diagnostics for reading in a terminal, grouped by file and ordered
+ * by position as file:line:column, with a summary line
+ */
+export function formatText(results) {
+  const reports = toReports(results);
+  const located = locateDiagnostics(reports);
+  const lines = [];
+
+  const files = [...new Set(located.map(({ file }) => file))];
+  for (const file of files) {
+    const entries = located
+      .filter(entry => entry.file === file)
+      .sort((a, b) => (a.start?.offset ?? 0) - (b.start?.offset ?? 0));
+    const locations = entries.map(({ start }) => [file, start && `${start.line}:${start.column}`].filter(Boolean).join(':'));
+    const width = Math.max(...locations.map(location => location.length));
+
+    if (file !== undefined) {
+      lines.push(file);
+    }
+    entries.forEach(({ diagnostic }, idx) => {
+      lines.push(`  ${locations[idx].padEnd(width)}  ${diagnostic.severity.padEnd(7)}  ${diagnostic.message}  ${diagnostic.code}`);
+    });
+    lines.push('');
+  }
+
+  const counts = countSeverities(located.map(({ diagnostic }) => diagnostic));
+  const tokenCount = reports.reduce((sum, { result }) => sum + result.tokenCount, 0);
+  const scanned = `${plural(tokenCount, 'token')} in ${plural(reports.length, 'file')}`;
+  lines.push(located.length === 0
+    ? `✓ No problems (${scanned})`
+    : `✖ ${plural(located.length, 'problem')} (${plural(counts.error, 'error')}, ${plural(counts.warning, 'warning')}, ${counts.info} info), ${scanned}`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats validation results as JSON
+ * Each file lists its diagnostics, error and warning messages, the analysis
+ * of its errors by category and its token count, with totals for all files
+ */
+export function formatJson(results, options = {}) {
+  const reports = toReports(results);
+  const diagnostics = reports.flatMap(({ result }) => result.diagnostics);
+  const counts = countSeverities(diagnostics);
+
+  const report = {
+    valid: reports.every(({ result }) => result.valid),
+    tokenCount: reports.reduce((sum, { result }) => sum + result.tokenCount, 0),
+    errorCount: counts.error,
+    warningCount: counts.warning,
+    infoCount: counts.info,
+    files: reports.map(({ file, result }) => ({
+      ...(file !== undefined && { file }),
+      valid: result.valid,
+      tokenCount: result.tokenCount,
+      errors: result.errors,
+      warnings: result.warnings,
+      infos: result.infos,
+      diagnostics: result.diagnostics,
+      suppressed: result.suppressed,
+      analysis: analyzeErrors(result, options).analysis
+    }))
+  };
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Formats validation results as a SARIF 2.1.0 log, e.g. for GitHub code
+ * scanning. Rule codes become rule ids with the rule's explanation and spec link
+ */
+export function formatSarif(results, options = {}) {
+  const rules = { ...RULES, ...collectPluginRules(options.plugins) };
+  const reports = toReports(results);
+  const located = locateDiagnostics(reports);
+  const ruleIds = [...new Set(located.map(({ diagnostic }) => diagnostic.code))].sort();
+
+  const sarifResults = located.map(({ diagnostic, file, start, end }) => {
+    const location = {
+      logicalLocations: [{ fullyQualifiedName: formatPath([...diagnostic.path, ...diagnostic.valuePath]) || 'root', kind: 'member' }]
+    };
+    if (file !== undefined) {
+      location.physicalLocation = {
+        artifactLocation: { uri: file.replace(/\\/g, '/') },
+        ...(start && { region: { startLine: start.line, startColumn: start.column, endLine: end.line, endColumn: end.column } })
+      };
+    }
+    return {
+      ruleId: diagnostic.code,
+      ruleIndex: ruleIds.indexOf(diagnostic.code),
+      level: SARIF_LEVELS[diagnostic.severity],
+      message: { text: diagnostic.message },
+      locations: [location]
+    };
+  });
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          rules: ruleIds.map(code => {
+            // Plugin rules not passed in options are described by their diagnostics
+            const rule = rules[code] ?? located.find(({ diagnostic }) => diagnostic.code === code).diagnostic;
+            return {
+              id: code,
+              shortDescription: { text: rule.details ?? code },
+              ...(rule.suggestion && typeof rule.suggestion === 'string' && { help: { text: rule.suggestion } }),
+              ...(rule.spec && { helpUri: rule.spec }),
+              defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+              properties: { category: rule.category }
+            };
+          })
+        }
+      },
+      results: sarifResults,
+      properties: {
+        tokenCount: reports.reduce((sum, { result }) => sum + result.tokenCount, 0)
+      }
+    }]
+  };
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+/**
+ * Escapes text for XML attributes and content
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats validation results as JUnit XML
+ * Each file is a test suite and each diagnostic a test case, failing for
+ * errors; a file without diagnostics has one passing test case
+ */
+export function formatJunit(results) {
+  const reports = toReports(results);
+  const suites = reports.map(({ file, result }) => {
+    const name = file ?? 'tokens';
+    const located = locateDiagnostics([{ file, result }]);
+    const failures = located.filter(({ diagnostic }) => diagnostic.severity === 'error').length;
+
+    const cases = located.map(({ diagnostic, file: diagnosticFile, start }) => {
+      const at = [diagnosticFile ?? name, start && `${start.line}:${start.column}`].filter(Boolean).join(':');
+      const text = escapeXml(`${at} ${diagnostic.severity} ${diagnostic.message}`);
+      const body = diagnostic.severity === 'error'
+        ? `<failure message="${escapeXml(diagnostic.message)}" type="${escapeXml(diagnostic.code)}">${text}</failure>`
+        : `<system-out>${text}</system-out>`;
+      const path = formatPath([...diagnostic.path, ...diagnostic.valuePath]) || 'root';
+      return `    <testcase name="${escapeXml(`${diagnostic.code} at ${path}`)}" classname="${escapeXml(diagnosticFile ?? name)}">${body}</testcase>`;
+    });
+    if (cases.length === 0) {
+      cases.push(`    <testcase name="${escapeXml(name)}" classname="${escapeXml(name)}"/>`);
+    }
+
+    return [
+      `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="0">`,
+      '    <properties>',
+      `      <property name="tokenCount" value="${result.tokenCount}"/>`,
+      '    </properties>',
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  const tests = reports.reduce((sum, { result }) => sum + Math.max(result.diagnostics.length, 1), 0);
+  const failures = reports.reduce((sum, { result }) => sum + result.diagnostics.filter(({ severity }) => severity === 'error').length, 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Escapes the message of a GitHub workflow command
+ */
+function escapeCommandData(text) {
+  return text.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * Escapes a property of a GitHub workflow command
+ */
+function escapeCommandProperty(text) {
+  return escapeCommandData(String(text)).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * Formats diagnostics as GitHub workflow commands, which annotate the files
+ * of a pull request, e.g.
+ * ::error file=tokens.json,line=4,col=26,endLine=4,endColumn=31,title=dimension/format::Dimension at ...
+ */
+export function formatGithub(results) {
+  const lines = locateDiagnostics(toReports(results)).map(({ diagnostic, file, start, end }) => {
+    const properties = {
+      ...(file !== undefined && { file }),
+      ...(start && { line: start.line, col: start.column, endLine: end.line, endColumn: end.column }),
+      title: diagnostic.code
+    };
+    const formatted = Object.entries(properties).map(([key, value]) => `${key}=${escapeCommandProperty(value)}`).join(',');
+    return `::${GITHUB_COMMANDS[diagnostic.severity]} ${formatted}::${escapeCommandData(diagnostic.message)}\n`;
+  });
+  return lines.join('');
+}
+
+/**
+ * Report formats by name, as selected with --format
+ */
+export const REPORT_FORMATS = {
+  text: formatText,
+  json: formatJson,
+  sarif: formatSarif,
+  junit: formatJunit,
+  github: formatGithub
+};
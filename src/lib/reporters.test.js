@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateTokens,
+  validateTokenFiles,
+  formatText,
+  formatJson,
+  formatSarif,
+  formatJunit,
+  formatGithub
+} from './dtcgValidator.js';
+
+const colors = '{\n  "color": {\n    "overlay": { "$type": "color", "$value": "#00000080" }\n  }\n}';
+const spacing = '{\n  "size": {\n    "small": { "$type": "dimension", "$value": "8em" }\n  }\n}';
+const valid = '{ "opacity": { "$type": "number", "$value": 0.5 } }';
+
+const reports = [
+  { file: 'tokens/colors.json', result: validateTokens(colors) },
+  { file: 'tokens/spacing.json', result: validateTokens(spacing) },
+  { file: 'tokens/valid.json', result: validateTokens(valid) }
+];
+
+describe('Reporters', () => {
+  describe('formatText', () => {
+    it('should group diagnostics by file with file:line:column', () => {
+      expect(formatText(reports)).toBe([
+        'tokens/colors.json',
+        '  tokens/colors.json:3:46  warning  Color at color.overlay should be in 6-digit hex format (#rrggbb) or a reference (allowed in draft-2023)  color/hex-format',
+        '',
+        'tokens/spacing.json',
+        '  tokens/spacing.json:3:48  error    Dimension at size.small must be a number with unit "px" or "rem" (e.g., "16px", "1rem") or a reference (allowed in draft-2023)  dimension/format',
+        '',
+        '✖ 2 problems (1 error, 1 warning, 0 info), 3 tokens in 3 files',
+        ''
+      ].join('\n'));
+    });
+
+    it('should format a single result and the files of validateTokenFiles', () => {
+      expect(formatText(validateTokens(valid))).toBe('✓ No problems (1 token in 1 file)\n');
+      const result = validateTokenFiles({ 'colors.json': colors, 'spacing.json': spacing });
+      expect(formatText(result)).toContain('colors.json\n  colors.json:3:46  warning');
+    });
+  });
+
+  describe('formatJson', () => {
+    it('should report totals, messages, diagnostics and analysis per file', () => {
+      const report = JSON.parse(formatJson(reports));
+      expect(report).toMatchObject({ valid: false, tokenCount: 3, errorCount: 1, warningCount: 1, infoCount: 0 });
+      expect(report.files.map(file => file.file)).toEqual(['tokens/colors.json', 'tokens/spacing.json', 'tokens/valid.json']);
+
+      const [, spacingReport] = report.files;
+      expect(spacingReport.errors).toEqual([reports[1].result.errors[0]]);
+      expect(spacingReport.diagnostics[0]).toMatchObject({ code: 'dimension/format', range: { start: { line: 3, column: 48 } } });
+      expect(spacingReport.analysis.summary).toBe('Found 1 error(s): 1 value');
+      expect(spacingReport.analysis.categories.value[0].code).toBe('dimension/format');
+    });
+  });
+
+  describe('formatSarif', () => {
+    const log = JSON.parse(formatSarif(reports));
+
+    it('should write a SARIF 2.1.0 log with the rules of the results', () => {
+      expect(log.version).toBe('2.1.0');
+      const { driver } = log.runs[0].tool;
+      expect(driver.name).toBe('dtcg-validate');
+      expect(driver.rules.map(rule => rule.id)).toEqual(['color/hex-format', 'dimension/format']);
+      expect(driver.rules[1]).toMatchObject({
+        helpUri: 'https://www.designtokens.org/TR/2025.10/format/#dimension',
+        defaultConfiguration: { level: 'error' },
+        properties: { category: 'value' }
+      });
+      expect(log.runs[0].properties.tokenCount).toBe(3);
+    });
+
+    it('should carry rule codes, levels and positions into results', () => {
+      expect(log.runs[0].results[0]).toEqual({
+        ruleId: 'color/hex-format',
+        ruleIndex: 0,
+        level: 'warning',
+        message: { text: reports[0].result.diagnostics[0].message },
+        locations: [{
+          logicalLocations: [{ fullyQualifiedName: 'color.overlay', kind: 'member' }],
+          physicalLocation: {
+            artifactLocation: { uri: 'tokens/colors.json' },
+            region: { startLine: 3, startColumn: 46, endLine: 3, endColumn: 57 }
+          }
+        }]
+      });
+    });
+
+    it('should describe plugin rules without the plugins', () => {
+      const plugin = {
+        name: 'acme',
+        rules: {
+          'acme/no-red': {
+            category: 'value',
+            severity: 'warning',
+            check(token, report) {
+              if (token.value === '#ff0000') report(`Red at ${token.name}`, { valuePath: ['$value'] });
+            }
+          }
+        }
+      };
+      const result = validateTokens('{ "alert": { "$type": "color", "$value": "#ff0000" } }', { plugins: [plugin] });
+      const [rule] = JSON.parse(formatSarif(result)).runs[0].tool.driver.rules;
+      expect(rule).toEqual({
+        id: 'acme/no-red',
+        shortDescription: { text: 'acme/no-red' },
+        defaultConfiguration: { level: 'warning' },
+        properties: { category: 'value' }
+      });
+      expect(JSON.parse(formatJson(result)).files[0].analysis.summary).toBe('No errors found');
+    });
+
+    it('should map info diagnostics to notes', () => {
+      const result = validateTokens(colors, { rules: { 'color/hex-format': 'info' } });
+      expect(JSON.parse(formatSarif(result)).runs[0].results[0].level).toBe('note');
+    });
+  });
+
+  describe('formatJunit', () => {
+    it('should write a test suite per file with failures for errors', () => {
+      const xml = formatJunit(reports);
+      expect(xml).toContain('<testsuites name="dtcg-validate" tests="3" failures="1" errors="0">');
+      expect(xml).toContain('<testsuite name="tokens/spacing.json" tests="1" failures="1" errors="0">');
+      expect(xml).toContain('<property name="tokenCount" value="1"/>');
+      expect(xml).toContain('<testcase name="dimension/format at size.small" classname="tokens/spacing.json"><failure message="Dimension at size.small must be a number with unit &quot;px&quot;');
+      expect(xml).toContain('<testcase name="color/hex-format at color.overlay" classname="tokens/colors.json"><system-out>tokens/colors.json:3:46 warning');
+      expect(xml).toContain('<testcase name="tokens/valid.json" classname="tokens/valid.json"/>');
+    });
+  });
+
+  describe('formatGithub', () => {
+    it('should write a workflow command per diagnostic', () => {
+      expect(formatGithub(reports)).toBe([
+        '::warning file=tokens/colors.json,line=3,col=46,endLine=3,endColumn=57,title=color/hex-format::Color at color.overlay should be in 6-digit hex format (#rrggbb) or a reference (allowed in draft-2023)',
+        '::error file=tokens/spacing.json,line=3,col=48,endLine=3,endColumn=53,title=dimension/format::Dimension at size.small must be a number with unit "px" or "rem" (e.g., "16px", "1rem") or a reference (allowed in draft-2023)',
+        ''
+      ].join('\n'));
+    });
+
+    it('should escape command properties and data', () => {
+      const result = validateTokens('{ "a": ');
+      const [line] = formatGithub([{ file: 'tokens, v2:final.json', result }]).split('\n');
+      expect(line).toMatch(/^::error file=tokens%2C v2%3Afinal\.json,line=1,/);
+    });
+  });
+});
@@ -0,0 +1,500 @@
+/**
+ * W3C Design Tokens Resolver Module
+ * Validates resolver documents (sets, modifiers and resolution order) and
+ * resolves them into a single token tree for a given set of modifier inputs
+ * @see https://www.designtokens.org/TR/2025.10/resolver/
+ */
+
+import { RESOLVER_VERSION } from './spec.js';
+import { createDiagnostic, createResult, formatPath } from './diagnostics.js';
+import { parseJson, findRange, parseJsonPointer, getAtPointer } from './jsonParser.js';
+import { resolveOptions, applyRuleSeverities } from './config.js';
+import { countTokens, validateTokensObject } from './dtcgValidator.js';
+
+/**
+ * Checks if a value is a plain JSON object
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Records a diagnostic on the resolver state
+ */
+function report(state, code, message, location, value) {
+  state.diagnostics.push(createDiagnostic(code, message, location, value));
+}
+
+/**
+ * Loads a token file from the file map
+ * Files may be given as JSON strings or already parsed objects
+ * Returns the parsed tokens, or null if the file is missing or invalid
+ */
+function loadFile(fileName, location, state) {
+  if (state.fileCache.has(fileName)) {
+    return state.fileCache.get(fileName);
+  }
+
+  let tokens = null;
+  if (!Object.hasOwn(state.files, fileName) || state.files[fileName] === undefined) {
+    report(state, 'resolver/unknown-reference', `Source at ${formatPath(location)} references file "${fileName}" which was not provided`, [...location, '$ref'], fileName);
+  } else if (typeof state.files[fileName] === 'string') {
+    const parsed = parseJson(state.files[fileName]);
+    if (parsed.error) {
+      const { message, range } = parsed.error;
+      report(state, 'resolver/invalid-file', `Source file "${fileName}" is not valid JSON: ${message} at line ${range.start.line}, column ${range.start.column}`, [...location, '$ref'], fileName);
+    } else {
+      tokens = parsed.value;
+    }
+  } else {
+    tokens = state.files[fileName];
+  }
+
+  if (tokens !== null && !isObject(tokens)) {
+    report(state, 'resolver/invalid-file', `Source file "${fileName}" must contain a JSON object of tokens`, [...location, '$ref'], fileName);
+    tokens = null;
+  }
+
+  state.fileCache.set(fileName, tokens);
+  return tokens;
+}
+
+/**
+ * Loads a single source of a set or modifier context
+ * A source is either { "$ref": "file.json" } (optionally with a "#/pointer"
+ * fragment, or only a fragment into the resolver document) or inline tokens
+ * Returns the token tree, or null if it could not be loaded
+ */
+function loadSource(source, location, state) {
+  if (!isObject(source)) {
+    report(state, 'resolver/invalid-source', `Source at ${formatPath(location)} must be an object`, location, source);
+    return null;
+  }
+
+  if (!('$ref' in source)) {
+    return source;
+  }
+
+  if (typeof source.$ref !== 'string') {
+    report(state, 'resolver/invalid-source', `Source $ref at ${formatPath(location)} must be a string`, [...location, '$ref'], source.$ref);
+    return null;
+  }
+
+  const hashIndex = source.$ref.indexOf('#');
+  const fileName = hashIndex === -1 ? source.$ref : source.$ref.slice(0, hashIndex);
+  const fragment = hashIndex === -1 ? '' : source.$ref.slice(hashIndex);
+
+  const document = fileName ? loadFile(fileName, location, state) : state.resolver;
+  if (document === null) {
+    return null;
+  }
+
+  const segments = parseJsonPointer(fragment);
+  const tokens = segments ? getAtPointer(document, segments) : undefined;
+  if (!isObject(tokens)) {
+    report(state, 'resolver/unknown-reference', `Source at ${formatPath(location)} references "${source.$ref}" which does not point to a token object`, [...location, '$ref'], source.$ref);
+    return null;
+  }
+
+  return tokens;
+}
+
+/**
+ * Loads all sources of a list, skipping those that fail to load
+ */
+function loadSources(sources, location, state) {
+  return sources
+    .map((source, idx) => loadSource(source, [...location, idx], state))
+    .filter(tokens => tokens !== null);
+}
+
+/**
+ * Validates a set definition
+ */
+function checkSet(set, location, state) {
+  if (!isObject(set)) {
+    report(state, 'resolver/invalid-set', `Set at ${formatPath(location)} must be an object`, location, set);
+    return false;
+  }
+  if (!Array.isArray(set.sources)) {
+    report(state, 'resolver/invalid-set', `Set at ${formatPath(location)} must have a sources array`, [...location, 'sources'], set.sources);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validates a modifier definition
+ */
+function checkModifier(modifier, location, state) {
+  if (!isObject(modifier)) {
+    report(state, 'resolver/invalid-modifier', `Modifier at ${formatPath(location)} must be an object`, location, modifier);
+    return false;
+  }
+  if (!isObject(modifier.contexts) || Object.keys(modifier.contexts).length === 0) {
+    report(state, 'resolver/invalid-modifier', `Modifier at ${formatPath(location)} must have a contexts object with at least one context`, [...location, 'contexts'], modifier.contexts);
+    return false;
+  }
+
+  let valid = true;
+  for (const [contextName, sources] of Object.entries(modifier.contexts)) {
+    if (!Array.isArray(sources)) {
+      report(state, 'resolver/invalid-modifier', `Context "${contextName}" at ${formatPath(location)} must be an array of sources`, [...location, 'contexts', contextName], sources);
+      valid = false;
+    }
+  }
+
+  if (modifier.default !== undefined && !Object.hasOwn(modifier.contexts, modifier.default)) {
+    report(state, 'resolver/invalid-default', `Modifier default at ${formatPath(location)} must be one of: ${Object.keys(modifier.contexts).join(', ')}`, [...location, 'default'], modifier.default);
+    valid = false;
+  }
+
+  return valid;
+}
+
+/**
+ * Validates the resolution order and returns its entries as
+ * { kind: 'set' | 'modifier', name, definition, location }
+ */
+function checkResolutionOrder(resolver, state) {
+  if (!Array.isArray(resolver.resolutionOrder)) {
+    report(state, 'resolver/invalid-resolution-order', 'Resolver must have a resolutionOrder array', ['resolutionOrder'], resolver.resolutionOrder);
+    return [];
+  }
+
+  const entries = [];
+  resolver.resolutionOrder.forEach((item, idx) => {
+    const location = ['resolutionOrder', idx];
+
+    if (!isObject(item)) {
+      report(state, 'resolver/invalid-resolution-order', `Resolution order entry at ${formatPath(location)} must be an object`, location, item);
+      return;
+    }
+
+    if ('$ref' in item) {
+      // Reference to a named set or modifier: "#/sets/<name>" or "#/modifiers/<name>"
+      const segments = typeof item.$ref === 'string' ? parseJsonPointer(item.$ref) : null;
+      const [section, name] = segments || [];
+      const definitions = section === 'sets' || section === 'modifiers' ? resolver[section] : null;
+
+      if (!segments || segments.length !== 2 || !isObject(definitions) || !Object.hasOwn(definitions, name)) {
+        report(state, 'resolver/unknown-reference', `Resolution order entry at ${formatPath(location)} references "${item.$ref}" which is not a defined set or modifier`, [...location, '$ref'], item.$ref);
+        return;
+      }
+
+      entries.push({
+        kind: section === 'sets' ? 'set' : 'modifier',
+        name,
+        definition: definitions[name],
+        location: [section, name]
+      });
+      return;
+    }
+
+    // Inline set or modifier
+    if (item.type !== 'set' && item.type !== 'modifier') {
+      report(state, 'resolver/invalid-resolution-order', `Resolution order entry at ${formatPath(location)} must be a $ref or have type "set" or "modifier"`, [...location, 'type'], item.type);
+      return;
+    }
+    if (typeof item.name !== 'string' || !item.name) {
+      report(state, 'resolver/invalid-resolution-order', `Inline ${item.type} at ${formatPath(location)} must have a name`, [...location, 'name'], item.name);
+      return;
+    }
+
+    const valid = item.type === 'set' ? checkSet(item, location, state) : checkModifier(item, location, state);
+    if (valid) {
+      entries.push({ kind: item.type, name: item.name, definition: item, location });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Validates the structure of a resolver document
+ * Returns the resolution order entries and the diagnostics found
+ */
+function checkResolver(resolver, files) {
+  const state = {
+    resolver,
+    files,
+    fileCache: new Map(),
+    diagnostics: []
+  };
+
+  if (!isObject(resolver)) {
+    report(state, 'resolver/root-type', 'Resolver document must be an object', [], resolver);
+    return { state, entries: [] };
+  }
+
+  if (resolver.version !== RESOLVER_VERSION) {
+    report(state, 'resolver/version', resolver.version === undefined
+      ? `Resolver document must declare "version": "${RESOLVER_VERSION}"`
+      : `Resolver version "${resolver.version}" is not supported. Supported: ${RESOLVER_VERSION}`, ['version'], resolver.version);
+  }
+
+  // Validate named definitions
+  const validDefinitions = new Set();
+  for (const section of ['sets', 'modifiers']) {
+    if (resolver[section] === undefined) continue;
+    if (!isObject(resolver[section])) {
+      report(state, section === 'sets' ? 'resolver/invalid-set' : 'resolver/invalid-modifier', `Resolver ${section} must be an object`, [section], resolver[section]);
+      continue;
+    }
+    for (const [name, definition] of Object.entries(resolver[section])) {
+      const location = [section, name];
+      const valid = section === 'sets' ? checkSet(definition, location, state) : checkModifier(definition, location, state);
+      if (valid) validDefinitions.add(formatPath(location));
+    }
+  }
+
+  const entries = checkResolutionOrder(resolver, state);
+
+  // Named definitions that are never applied
+  const used = new Set(entries.map(entry => formatPath(entry.location)));
+  for (const section of ['sets', 'modifiers']) {
+    if (!isObject(resolver[section])) continue;
+    for (const name of Object.keys(resolver[section])) {
+      if (!used.has(formatPath([section, name]))) {
+        report(state, 'resolver/unused-definition', `${section === 'sets' ? 'Set' : 'Modifier'} "${name}" is not used in resolutionOrder`, [section, name], name);
+      }
+    }
+  }
+
+  return {
+    state,
+    entries: entries.filter(entry => entry.location[0] === 'resolutionOrder' || validDefinitions.has(formatPath(entry.location)))
+  };
+}
+
+/**
+ * Parses a resolver given as a JSON string
+ * Returns { resolver, ast } or { diagnostic } on a syntax error; resolvers
+ * given as objects have no ast
+ */
+function parseResolver(resolver) {
+  if (typeof resolver !== 'string') {
+    return { resolver };
+  }
+  const parsed = parseJson(resolver);
+  if (parsed.error) {
+    const { message, range } = parsed.error;
+    const diagnostic = createDiagnostic('json/syntax', `Invalid JSON: ${message} at line ${range.start.line}, column ${range.start.column}`);
+    diagnostic.range = range;
+    return { diagnostic };
+  }
+  return { resolver: parsed.value, ast: parsed.ast };
+}
+
+/**
+ * Applies the configured rule severities to the diagnostics of a resolver
+ * and, if it was given as a JSON string, attaches their source ranges
+ */
+function finishDiagnostics(diagnostics, { ast }, rules) {
+  const finished = applyRuleSeverities(diagnostics, rules);
+  if (ast) {
+    for (const diagnostic of finished) {
+      diagnostic.range = findRange(ast, [...diagnostic.path, ...diagnostic.valuePath]);
+    }
+  }
+  return finished;
+}
+
+/**
+ * Deep merges a token tree into the target
+ * Groups are merged; tokens and other values replace what was there before
+ */
+function mergeTokens(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    const existing = target[key];
+    const isGroup = node => isObject(node) && !('$value' in node);
+
+    if (isGroup(existing) && isGroup(value)) {
+      mergeTokens(existing, value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+  return target;
+}
+
+/**
+ * Merges the sources of every resolution order entry into one token tree,
+ * using the given context for each modifier (or its default)
+ */
+function applyResolutionOrder(entries, inputs, state) {
+  const tokens = {};
+  for (const entry of entries) {
+    let sources;
+    let location;
+
+    if (entry.kind === 'set') {
+      sources = entry.definition.sources;
+      location = [...entry.location, 'sources'];
+    } else {
+      const { contexts } = entry.definition;
+      const contextName = Object.hasOwn(inputs, entry.name) ? inputs[entry.name] : entry.definition.default;
+
+      if (contextName === undefined) {
+        report(state, 'resolver/missing-input', `Modifier "${entry.name}" has no default, so an input must select one of: ${Object.keys(contexts).join(', ')}`, entry.location, entry.name);
+        continue;
+      }
+      if (!Object.hasOwn(contexts, contextName)) {
+        report(state, 'resolver/unknown-context', `Input "${entry.name}=${contextName}" is not a context of the modifier. Available: ${Object.keys(contexts).join(', ')}`, entry.location, contextName);
+        continue;
+      }
+
+      sources = contexts[contextName];
+      location = [...entry.location, 'contexts', contextName];
+    }
+
+    for (const sourceTokens of loadSources(sources, location, state)) {
+      mergeTokens(tokens, sourceTokens);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Lists every combination of modifier contexts as input objects
+ * e.g. [{ theme: 'light', density: 'compact' }, { theme: 'dark', density: 'compact' }, ...]
+ */
+function listPermutations(modifiers) {
+  return modifiers.reduce((permutations, modifier) => permutations.flatMap(inputs =>
+    Object.keys(modifier.definition.contexts).map(contextName => ({ ...inputs, [modifier.name]: contextName }))
+  ), [{}]);
+}
+
+/**
+ * Identifies a diagnostic independently of the permutation it was found in
+ */
+function diagnosticKey(diagnostic) {
+  return JSON.stringify([diagnostic.code, diagnostic.path, diagnostic.valuePath, diagnostic.message]);
+}
+
+/**
+ * Formats modifier inputs for messages, e.g. "theme=dark, density=compact"
+ */
+export function formatInputs(inputs) {
+  return Object.entries(inputs).map(([name, contextName]) => `${name}=${contextName}`).join(', ');
+}
+
+/**
+ * Validates a resolver document
+ * Checks its structure and loads every source of every set and modifier
+ * context from the file map, so missing or broken files are reported
+ *
+ * @param {object|string} resolver - Resolver document or its JSON string
+ * @param {object} files - Map of file names to JSON strings or parsed tokens
+ * @param {object} options - Validation options, as for validateTokensObject;
+ *   `rules` and `preset` also set the severities of resolver rules
+ */
+export function validateResolver(resolver, files = {}, options = {}) {
+  const { rules } = resolveOptions(options);
+  const parsed = parseResolver(resolver);
+  if (parsed.diagnostic) {
+    return createResult([parsed.diagnostic]);
+  }
+
+  const { state, entries } = checkResolver(parsed.resolver, files);
+
+  for (const entry of entries) {
+    if (entry.kind === 'set') {
+      loadSources(entry.definition.sources, [...entry.location, 'sources'], state);
+    } else {
+      for (const [contextName, sources] of Object.entries(entry.definition.contexts)) {
+        loadSources(sources, [...entry.location, 'contexts', contextName], state);
+      }
+    }
+  }
+
+  return createResult(finishDiagnostics(state.diagnostics, parsed, rules));
+}
+
+/**
+ * Resolves a resolver document into a single token tree
+ * Sets and the selected context of each modifier are merged in resolution
+ * order, later sources overriding tokens of earlier ones
+ *
+ * @param {object|string} resolver - Resolver document or its JSON string
+ * @param {object} files - Map of file names to JSON strings or parsed tokens
+ * @param {object} inputs - Selected context per modifier, e.g. { theme: 'dark' }
+ * @param {object} options - Validation options, as for validateResolver
+ * @returns Validation result with the resolved `tokens` (null on errors)
+ */
+export function resolve(resolver, files = {}, inputs = {}, options = {}) {
+  const { rules } = resolveOptions(options);
+  const parsed = parseResolver(resolver);
+  if (parsed.diagnostic) {
+    return { ...createResult([parsed.diagnostic]), tokens: null };
+  }
+
+  const { state, entries } = checkResolver(parsed.resolver, files);
+
+  // Validate inputs against the modifiers in the resolution order
+  const modifierNames = entries.filter(entry => entry.kind === 'modifier').map(entry => entry.name);
+  for (const name of Object.keys(inputs)) {
+    if (!modifierNames.includes(name)) {
+      report(state, 'resolver/unknown-modifier', `Input "${name}" does not match any modifier in resolutionOrder`, [], name);
+    }
+  }
+
+  const tokens = applyResolutionOrder(entries, inputs, state);
+  const result = createResult(finishDiagnostics(state.diagnostics, parsed, rules), countTokens(tokens));
+  return { ...result, tokens: result.valid ? tokens : null };
+}
+
+/**
+ * Validates the resolved tokens of every combination of modifier contexts
+ * A token may be valid for one theme and broken for another, so each
+ * permutation is resolved and validated on its own. Diagnostics repeated
+ * across permutations are reported once, listing the permutations they
+ * occur in under `permutations`
+ *
+ * @param {object|string} resolver - Resolver document or its JSON string
+ * @param {object} files - Map of file names to JSON strings or parsed tokens
+ * @param {object} options - Validation options for the resolved tokens of
+ *   every permutation, as for validateTokensObject, e.g. { spec, strict,
+ *   rules, plugins }; `rules` and `preset` also apply to resolver rules
+ * @returns Validation result with a `permutations` array of
+ *   { inputs, valid, diagnostics, tokenCount }
+ */
+export function validatePermutations(resolver, files = {}, options = {}) {
+  const { rules } = resolveOptions(options);
+  const parsed = parseResolver(resolver);
+  if (parsed.diagnostic) {
+    return { ...createResult([parsed.diagnostic]), permutations: [] };
+  }
+
+  const { state, entries } = checkResolver(parsed.resolver, files);
+  const modifiers = entries.filter(entry => entry.kind === 'modifier');
+  const tokenDiagnostics = new Map();
+
+  const permutations = listPermutations(modifiers).map(inputs => {
+    const result = validateTokensObject(applyResolutionOrder(entries, inputs, state), options);
+
+    for (const diagnostic of result.diagnostics) {
+      const key = diagnosticKey(diagnostic);
+      if (tokenDiagnostics.has(key)) {
+        tokenDiagnostics.get(key).permutations.push(inputs);
+      } else {
+        tokenDiagnostics.set(key, { ...diagnostic, permutations: [inputs] });
+      }
+    }
+
+    return { inputs, valid: result.valid, diagnostics: result.diagnostics, tokenCount: result.tokenCount };
+  });
+
+  // Resolver problems (e.g. missing files) repeat for every permutation using them
+  const resolverDiagnostics = new Map();
+  for (const diagnostic of finishDiagnostics(state.diagnostics, parsed, rules)) {
+    const key = diagnosticKey(diagnostic);
+    if (!resolverDiagnostics.has(key)) resolverDiagnostics.set(key, diagnostic);
+  }
+
+  return {
+    ...createResult([...resolverDiagnostics.values(), ...tokenDiagnostics.values()]),
+    permutations
+  };
+}
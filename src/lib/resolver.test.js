@@ -0,0 +1,293 @@
+import { describe, it, expect } from 'vitest';
+import { validateResolver, resolve, validatePermutations, formatInputs } from './resolver.js';
+
+const files = {
+  'core.json': JSON.stringify({
+    color: {
+      $type: 'color',
+      blue: { $value: '#0066cc' },
+      white: { $value: '#ffffff' },
+      black: { $value: '#000000' }
+    }
+  }),
+  'light.json': JSON.stringify({
+    surface: { $type: 'color', background: { $value: '{color.white}' }, text: { $value: '{color.black}' } }
+  }),
+  'dark.json': JSON.stringify({
+    surface: { $type: 'color', background: { $value: '{color.black}' }, text: { $value: '{color.white}' } }
+  }),
+  'high-contrast.json': {
+    surface: { text: { $type: 'color', $value: '#ffff00' } }
+  }
+};
+
+const resolver = {
+  version: '2025.10',
+  sets: {
+    core: { sources: [{ $ref: 'core.json' }] }
+  },
+  modifiers: {
+    theme: {
+      contexts: {
+        light: [{ $ref: 'light.json' }],
+        dark: [{ $ref: 'dark.json' }],
+        'high-contrast': [{ $ref: 'dark.json' }, { $ref: 'high-contrast.json' }]
+      },
+      default: 'light'
+    }
+  },
+  resolutionOrder: [
+    { $ref: '#/sets/core' },
+    { $ref: '#/modifiers/theme' }
+  ]
+};
+
+describe('Resolver Module', () => {
+  describe('validateResolver', () => {
+    it('should accept a valid resolver document', () => {
+      const result = validateResolver(resolver, files);
+      expect(result.valid).toBe(true);
+      expect(result.diagnostics).toEqual([]);
+    });
+
+    it('should accept a resolver given as a JSON string', () => {
+      expect(validateResolver(JSON.stringify(resolver), files).valid).toBe(true);
+    });
+
+    it('should locate problems in a resolver given as a JSON string', () => {
+      const result = validateResolver(JSON.stringify({ ...resolver, version: '2024' }, null, 2), files);
+      expect(result.diagnostics[0]).toMatchObject({
+        code: 'resolver/version',
+        range: { start: { line: 2, column: 14 }, end: { line: 2, column: 20 } }
+      });
+      expect(validateResolver({ ...resolver, version: '2024' }, files).diagnostics[0].range).toBeNull();
+    });
+
+    it('should apply configured severities to resolver rules', () => {
+      const unused = { ...resolver, resolutionOrder: [{ $ref: '#/sets/core' }] };
+      expect(validateResolver(unused, files, { rules: { 'resolver/unused-definition': 'off' } }).diagnostics).toEqual([]);
+      expect(resolve(unused, files, {}, { rules: { 'resolver/unused-definition': 'error' } }).valid).toBe(false);
+      expect(() => validateResolver(resolver, files, { spec: '2019' })).toThrow('Unknown spec version "2019"');
+    });
+
+    it('should report JSON syntax errors in the resolver', () => {
+      const result = validateResolver('{ "version": }');
+      expect(result.diagnostics[0].code).toBe('json/syntax');
+    });
+
+    it('should require the resolver version', () => {
+      const result = validateResolver({ ...resolver, version: undefined }, files);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Resolver document must declare "version": "2025.10"');
+    });
+
+    it('should reject sets without sources', () => {
+      const result = validateResolver({ ...resolver, sets: { core: {} } }, files);
+      expect(result.diagnostics.map(d => d.code)).toContain('resolver/invalid-set');
+    });
+
+    it('should reject modifiers without contexts or with an unknown default', () => {
+      const result = validateResolver({
+        ...resolver,
+        modifiers: {
+          theme: { contexts: { light: [] }, default: 'dark' },
+          density: { contexts: {} }
+        },
+        resolutionOrder: [...resolver.resolutionOrder, { $ref: '#/modifiers/density' }]
+      }, files);
+      expect(result.diagnostics.map(d => d.code)).toEqual(['resolver/invalid-default', 'resolver/invalid-modifier']);
+    });
+
+    it('should require a resolution order', () => {
+      const result = validateResolver({ version: '2025.10', sets: resolver.sets }, files);
+      expect(result.diagnostics.map(d => d.code)).toEqual(['resolver/invalid-resolution-order', 'resolver/unused-definition']);
+    });
+
+    it('should report references to undefined sets and modifiers', () => {
+      const result = validateResolver({ ...resolver, resolutionOrder: [{ $ref: '#/sets/missing' }, ...resolver.resolutionOrder] }, files);
+      expect(result.diagnostics[0]).toMatchObject({
+        code: 'resolver/unknown-reference',
+        category: 'reference',
+        path: ['resolutionOrder', 0],
+        valuePath: ['$ref']
+      });
+    });
+
+    it('should report missing and invalid source files', () => {
+      const result = validateResolver(resolver, { ...files, 'dark.json': '{ "surface": ', 'light.json': undefined });
+      expect(result.errors).toContain('Source at modifiers.theme.contexts.light[0] references file "light.json" which was not provided');
+      expect(result.errors.some(m => m.startsWith('Source file "dark.json" is not valid JSON'))).toBe(true);
+    });
+
+    it('should warn about sets and modifiers missing from the resolution order', () => {
+      const result = validateResolver({ ...resolver, resolutionOrder: [{ $ref: '#/sets/core' }] }, files);
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual(['Modifier "theme" is not used in resolutionOrder']);
+    });
+
+    it('should accept inline sets and modifiers in the resolution order', () => {
+      const result = validateResolver({
+        version: '2025.10',
+        resolutionOrder: [
+          { type: 'set', name: 'base', sources: [{ spacing: { $type: 'number', small: { $value: 4 } } }] },
+          { type: 'modifier', name: 'size', contexts: { small: [], large: [] }, default: 'small' }
+        ]
+      });
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should use the default context when no input is given', () => {
+      const result = resolve(resolver, files);
+      expect(result.valid).toBe(true);
+      expect(result.tokens.surface.background.$value).toBe('{color.white}');
+      expect(result.tokenCount).toBe(5);
+    });
+
+    it('should apply the selected modifier context', () => {
+      const result = resolve(resolver, files, { theme: 'dark' });
+      expect(result.tokens.surface.background.$value).toBe('{color.black}');
+      expect(result.tokens.color.blue.$value).toBe('#0066cc');
+    });
+
+    it('should let later sources override tokens of earlier ones', () => {
+      const { tokens } = resolve(resolver, files, { theme: 'high-contrast' });
+      expect(tokens.surface.text).toEqual({ $type: 'color', $value: '#ffff00' });
+      expect(tokens.surface.background.$value).toBe('{color.black}');
+      expect(tokens.surface.$type).toBe('color');
+    });
+
+    it('should not modify the source files', () => {
+      const parsedFiles = { ...files, 'core.json': JSON.parse(files['core.json']) };
+      const { tokens } = resolve(resolver, parsedFiles);
+      tokens.color.blue.$value = '#000000';
+      expect(parsedFiles['core.json'].color.blue.$value).toBe('#0066cc');
+    });
+
+    it('should support JSON Pointer fragments into source files', () => {
+      const result = resolve({
+        version: '2025.10',
+        sets: { colors: { sources: [{ $ref: 'core.json#/color' }] } },
+        resolutionOrder: [{ $ref: '#/sets/colors' }]
+      }, files);
+      expect(Object.keys(result.tokens)).toEqual(['$type', 'blue', 'white', 'black']);
+    });
+
+    it('should report unknown contexts and modifiers in the inputs', () => {
+      const result = resolve(resolver, files, { theme: 'sepia', density: 'compact' });
+      expect(result.valid).toBe(false);
+      expect(result.tokens).toBeNull();
+      expect(result.diagnostics.map(d => d.code)).toEqual(['resolver/unknown-modifier', 'resolver/unknown-context']);
+    });
+
+    it('should require an input for modifiers without a default', () => {
+      const { theme } = resolver.modifiers;
+      const result = resolve({ ...resolver, modifiers: { theme: { contexts: theme.contexts } } }, files);
+      expect(result.errors).toEqual(['Modifier "theme" has no default, so an input must select one of: light, dark, high-contrast']);
+    });
+  });
+
+  describe('validatePermutations', () => {
+    const color = value => ({ $type: 'color', $value: value });
+    const typedFiles = {
+      'core.json': { color: { blue: color('#0066cc'), white: color('#ffffff'), black: color('#000000') } },
+      'light.json': { surface: { background: color('{color.white}'), text: color('{color.black}') } },
+      'dark.json': { surface: { background: color('{color.black}'), text: color('{color.white}') } },
+      'high-contrast.json': { surface: { text: color('#ffff00') } }
+    };
+
+    const densityResolver = {
+      ...resolver,
+      modifiers: {
+        ...resolver.modifiers,
+        density: {
+          contexts: {
+            compact: [{ spacing: { base: { $type: 'dimension', $value: { value: 4, unit: 'px' } } } }],
+            comfortable: [{ spacing: { base: { $type: 'dimension', $value: { value: 8, unit: 'pt' } } } }]
+          }
+        }
+      },
+      resolutionOrder: [...resolver.resolutionOrder, { $ref: '#/modifiers/density' }]
+    };
+
+    it('should validate every combination of modifier contexts', () => {
+      const result = validatePermutations(densityResolver, typedFiles);
+      expect(result.valid).toBe(false);
+      expect(result.permutations.map(p => formatInputs(p.inputs))).toEqual([
+        'theme=light, density=compact',
+        'theme=light, density=comfortable',
+        'theme=dark, density=compact',
+        'theme=dark, density=comfortable',
+        'theme=high-contrast, density=compact',
+        'theme=high-contrast, density=comfortable'
+      ]);
+      expect(result.permutations.map(p => p.valid)).toEqual([true, false, true, false, true, false]);
+    });
+
+    it('should report diagnostics shared by permutations once', () => {
+      const result = validatePermutations(densityResolver, typedFiles);
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ code: 'dimension/unit', path: ['spacing', 'base'] });
+      expect(result.diagnostics[0].permutations).toEqual([
+        { theme: 'light', density: 'comfortable' },
+        { theme: 'dark', density: 'comfortable' },
+        { theme: 'high-contrast', density: 'comfortable' }
+      ]);
+      expect(result.permutations[1].diagnostics).toHaveLength(1);
+    });
+
+    it('should find references that break in only one context', () => {
+      const result = validatePermutations({
+        ...resolver,
+        modifiers: {
+          theme: {
+            contexts: {
+              light: [{ brand: { primary: color('#0066cc') } }],
+              dark: [{ brand: { secondary: color('#003366') } }]
+            },
+            default: 'light'
+          }
+        },
+        sets: { core: { sources: [{ button: { background: color('{brand.primary}') } }] } }
+      });
+      expect(result.permutations.map(p => p.valid)).toEqual([true, false]);
+      expect(result.diagnostics[0].code).toBe('reference/missing');
+      expect(result.diagnostics[0].permutations).toEqual([{ theme: 'dark' }]);
+    });
+
+    it('should validate a single permutation without modifiers', () => {
+      const result = validatePermutations({ ...resolver, modifiers: undefined, resolutionOrder: [{ $ref: '#/sets/core' }] }, typedFiles);
+      expect(result.valid).toBe(true);
+      expect(result.permutations).toEqual([{ inputs: {}, valid: true, diagnostics: [], tokenCount: 3 }]);
+    });
+
+    it('should validate the permutations with the given options', () => {
+      const strict = validatePermutations(densityResolver, typedFiles, { strict: true });
+      expect(strict.diagnostics.map(d => d.code)).toContain('color/shorthand');
+
+      const draft = validatePermutations(densityResolver, typedFiles, { spec: 'draft-2023', rules: { 'dimension/unit': 'off' } });
+      expect(draft.diagnostics.map(d => d.code)).not.toContain('dimension/unit');
+
+      const acme = {
+        name: 'acme',
+        rules: {
+          'acme/no-black': {
+            category: 'value',
+            severity: 'error',
+            check(token, report) {
+              if (token.value === '#000000') report(`Black at ${token.name}`);
+            }
+          }
+        }
+      };
+      const plugged = validatePermutations(densityResolver, typedFiles, { plugins: [acme] });
+      expect(plugged.diagnostics.find(d => d.code === 'acme/no-black').path).toEqual(['color', 'black']);
+    });
+
+    it('should report resolver problems once', () => {
+      const result = validatePermutations(densityResolver, { ...typedFiles, 'dark.json': undefined });
+      expect(result.diagnostics.filter(d => d.code === 'resolver/unknown-reference')).toHaveLength(1);
+    });
+  });
+});
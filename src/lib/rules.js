@@ -0,0 +1,678 @@
+/**
+ * Validation rules of the DTCG validator
+ * Each rule owns its category, default severity, explanation, suggestion and
+ * the section of the 2025.10 Format, Color or Resolver Module it enforces
+ */
+
+import {
+  FORMAT_SPEC_URL,
+  COLOR_SPEC_URL,
+  RESOLVER_SPEC_URL,
+  RESOLVER_VERSION,
+  VALID_TOKEN_TYPES,
+  FONT_WEIGHT_ALIASES,
+  STROKE_STYLE_VALUES,
+  COLOR_SPACES
+} from './spec.js';
+import { toColorObject, toDimensionObject, formatValue } from './convert.js';
+
+/**
+ * Error categories for better classification
+ */
+export const ERROR_CATEGORIES = {
+  STRUCTURE: 'structure',
+  TYPE: 'type',
+  VALUE: 'value',
+  NAMING: 'naming',
+  REFERENCE: 'reference'
+};
+
+const { STRUCTURE, TYPE, VALUE, NAMING, REFERENCE } = ERROR_CATEGORIES;
+
+/**
+ * Name of the property a "missing property" diagnostic points at
+ */
+function missingProperty(diagnostic) {
+  return diagnostic.valuePath[diagnostic.valuePath.length - 1];
+}
+
+/**
+ * Reference a "reference" diagnostic is about, in the syntax it was written in
+ */
+function referenceText(diagnostic) {
+  return typeof diagnostic.value === 'object' && diagnostic.value !== null ? diagnostic.value.$ref : diagnostic.value;
+}
+
+/**
+ * Validation rules keyed by their stable rule code
+ * `suggestion` is either a string or a function of the diagnostic
+ */
+export const RULES = {
+  'document/empty': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#file-format`,
+    details: 'No input was provided for validation.',
+    suggestion: 'Paste your design tokens JSON into the editor.'
+  },
+  'document/root-type': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#file-format`,
+    details: 'Design tokens must be defined within a root object, not as an array or primitive value.',
+    suggestion: 'Wrap your tokens in a JSON object with curly braces: { "color": { ... } }'
+  },
+  'json/syntax': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#file-format`,
+    details: 'The input is not valid JSON. Common issues include trailing commas, unquoted keys, or mismatched brackets.',
+    suggestion: 'Check for missing commas, brackets, or quotes. Use a JSON validator to find syntax errors.'
+  },
+  'json/duplicate-key': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#name-and-value`,
+    details: 'JSON parsers keep only the last of two identical keys in an object, so the earlier definition is silently lost.',
+    suggestion: 'Rename or remove one of the entries. Duplicates often remain after resolving a merge conflict.'
+  },
+  'token/conflicting-definition': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#file-format`,
+    details: 'When tokens are split across files, each token path may only be defined in one of them. Otherwise the result depends on the order the files are loaded in.',
+    suggestion: diagnostic => `Keep the token at ${diagnostic.path.join('.')} in one file and reference it from the others`
+  },
+  'token/missing-value': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#name-and-value`,
+    details: 'All tokens must have a $value property that contains the actual token value.',
+    suggestion: diagnostic => `Add a "$value" property to the token at ${diagnostic.path.join('.')}. Example: "$value": "#ff0000"`
+  },
+  'token/missing-type': {
+    category: TYPE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#type-0`,
+    details: 'A token\'s type is taken from its own $type, the $type of its closest parent group, or the token it references.',
+    suggestion: 'Add a "$type" property to the token or to one of its parent groups.'
+  },
+  'token/unknown-type': {
+    category: TYPE,
+    severity: 'warning',
+    spec: `${FORMAT_SPEC_URL}#types`,
+    details: 'The $type must be one of the 13 supported token types defined in the DTCG Format Module.',
+    suggestion: diagnostic => `Change "$type": "${diagnostic.value}" to one of: ${VALID_TOKEN_TYPES.join(', ')}`
+  },
+  'custom-type/value': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#types`,
+    details: 'The value does not match the custom token type a plugin registered for its $type.',
+    suggestion: 'Check the value against the requirements of the plugin defining the type.'
+  },
+  'suppression/invalid': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#extensions`,
+    details: 'Suppressions are declared as "$extensions": { "org.dtcg-validator": { "ignore": [...], "reason": "..." } } and may only name existing rules.',
+    suggestion: 'List the codes of the suppressed rules, e.g. { "ignore": ["color/hex-format"], "reason": "Needs transparency" }'
+  },
+  'suppression/unused': {
+    category: STRUCTURE,
+    severity: 'warning',
+    spec: `${FORMAT_SPEC_URL}#extensions`,
+    details: 'The suppressed rule reports no problems on the token or group, so the suppression has no effect.',
+    suggestion: diagnostic => `Remove "${diagnostic.value}" from the ignore list.`
+  },
+  'property/unknown': {
+    category: NAMING,
+    severity: 'warning',
+    spec: `${FORMAT_SPEC_URL}#additional-properties`,
+    details: 'Names starting with $ are reserved for properties defined by the specification, so unknown ones are usually typos and are ignored by other tools.',
+    suggestion: 'Fix the spelling, or move tool-specific data into $extensions.'
+  },
+  'description/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#description`,
+    details: 'A $description is a plain string explaining the purpose of a token or group.',
+    suggestion: 'Use a string like "$description": "Primary brand color".'
+  },
+  'deprecated/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#deprecated`,
+    details: '$deprecated is either true or false, or a string explaining why the token is deprecated and what to use instead.',
+    suggestion: 'Use "$deprecated": true or "$deprecated": "Use {color.brand} instead".'
+  },
+  'extensions/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#extensions`,
+    details: '$extensions holds tool-specific data as an object keyed by vendor namespace.',
+    suggestion: 'Wrap the data in an object: "$extensions": { "com.example.tool": { ... } }'
+  },
+  'extensions/namespace': {
+    category: NAMING,
+    severity: 'warning',
+    spec: `${FORMAT_SPEC_URL}#extensions`,
+    details: 'Keys of $extensions should be vendor namespaces in reverse domain notation, so data of different tools cannot collide.',
+    suggestion: diagnostic => `Rename "${diagnostic.valuePath[diagnostic.valuePath.length - 1]}" to a namespace like "com.example.${diagnostic.valuePath[diagnostic.valuePath.length - 1]}".`
+  },
+  'naming/invalid-characters': {
+    category: NAMING,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#character-restrictions`,
+    details: 'Token and group names must not contain dots (.), curly braces ({ }) or quotes ("), since those delimit reference paths.',
+    suggestion: 'Use hyphens or underscores instead, or nest the token in a group for each dot-separated part.'
+  },
+  'reference/missing': {
+    category: REFERENCE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#aliases-references`,
+    details: 'An alias must point to the full path of an existing token in the document.',
+    suggestion: diagnostic => `Check the spelling of ${referenceText(diagnostic)} or add the token it refers to.`
+  },
+  'reference/deprecated': {
+    category: REFERENCE,
+    severity: 'warning',
+    spec: `${FORMAT_SPEC_URL}#deprecated`,
+    details: 'The reference resolves through a token that is deprecated, either itself or through its group, and may be removed in a future version.',
+    suggestion: 'Follow the deprecation message and point the reference at the replacement token.'
+  },
+  'reference/invalid-pointer': {
+    category: REFERENCE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#aliases-references`,
+    details: 'A $ref reference must be a JSON Pointer into the current document, starting with "#/".',
+    suggestion: 'Write the reference as { "$ref": "#/group/token/$value" }, escaping "/" in names as "~1" and "~" as "~0".'
+  },
+  'reference/type-mismatch': {
+    category: REFERENCE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#aliases-references`,
+    details: 'A reference is substituted in place of the value it stands for, so the token it points to must have the type expected at that position.',
+    suggestion: diagnostic => `Point ${referenceText(diagnostic)} at a token of the expected type, or use an explicit value.`
+  },
+  'reference/circular': {
+    category: REFERENCE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#aliases-references`,
+    details: 'Aliases must eventually resolve to a literal value; a chain that leads back to itself can never be resolved.',
+    suggestion: 'Replace one of the references in the cycle with an explicit value.'
+  },
+  'extends/invalid': {
+    category: REFERENCE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#groups`,
+    details: 'A group can only extend another group. $extends must be a reference to a group, not to a token or a literal value.',
+    suggestion: 'Write $extends as a reference to the base group, e.g. "$extends": "{button.base}"'
+  },
+  'extends/missing': {
+    category: REFERENCE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#groups`,
+    details: 'The group named in $extends does not exist in the document.',
+    suggestion: diagnostic => `Check the spelling of ${referenceText(diagnostic)} or add the group it refers to.`
+  },
+  'extends/circular': {
+    category: REFERENCE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#groups`,
+    details: 'Groups cannot extend each other in a cycle, and a group cannot extend one of its own ancestors, as the inherited tokens could never be determined.',
+    suggestion: 'Remove one of the $extends properties in the cycle.'
+  },
+  'spec/unsupported': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#file-format`,
+    details: 'The construct is not part of the specification version the tokens are validated against. The message names the versions that allow it.',
+    suggestion: 'Rewrite the value in the form the selected version defines, or validate against a version that allows it.'
+  },
+  'color/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#color`,
+    details: 'Color values are color objects with colorSpace and components, hex strings, or references.',
+    suggestion: 'Use a color object. Example: { "colorSpace": "srgb", "components": [1, 0, 0] }'
+  },
+  'color/hex-format': {
+    category: VALUE,
+    severity: 'warning',
+    spec: `${COLOR_SPEC_URL}#hex`,
+    details: 'Hex colors must use the 6-digit #rrggbb form; opacity is expressed with the alpha property of a color object.',
+    suggestion: 'Use a 6-digit hex value like "#ff0000", or a color object with an "alpha" property for transparency.'
+  },
+  'color/shorthand': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#color`,
+    details: 'In strict mode, color values must use the color object form of the 2025.10 Format Module instead of a string.',
+    suggestion: diagnostic => {
+      const color = toColorObject(diagnostic.value);
+      return color
+        ? `Replace "${diagnostic.value}" with ${formatValue(color)}`
+        : 'Write the color as a color object. Example: { "colorSpace": "srgb", "components": [1, 0, 0] }';
+    }
+  },
+  'color/missing-color-space': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#color-space`,
+    details: 'Color tokens using object format must specify a valid colorSpace from the Color Module 2025.10.',
+    suggestion: 'Add "colorSpace" property. Example: "colorSpace": "srgb"'
+  },
+  'color/unsupported-color-space': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#supported-color-spaces`,
+    details: 'Color tokens using object format must specify a valid colorSpace from the Color Module 2025.10.',
+    suggestion: `Use one of the 14 supported color spaces: ${Object.keys(COLOR_SPACES).join(', ')}`
+  },
+  'color/missing-components': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#components`,
+    details: 'Color components must conform to the range requirements of their color space.',
+    suggestion: 'Add "components" array with color values. Example: "components": [1, 0, 0] for red in sRGB.'
+  },
+  'color/component-count': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#components`,
+    details: 'Color components must conform to the range requirements of their color space.',
+    suggestion: 'Color components must be an array of exactly 3 numeric values or "none".'
+  },
+  'color/component-type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#components`,
+    details: 'Color components must conform to the range requirements of their color space.',
+    suggestion: 'Each component must be either a number or the string "none".'
+  },
+  'color/hue-range': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#components`,
+    details: 'Color components must conform to the range requirements of their color space.',
+    suggestion: 'Hue values must be in the range [0, 360) - note that 360 is NOT valid, use 0 instead for a full rotation.'
+  },
+  'color/component-range': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#components`,
+    details: 'Color components must conform to the range requirements of their color space.',
+    suggestion: 'Keep the component within the bounds given in the message. Check the color space requirements.'
+  },
+  'color/hex-property': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#hex`,
+    details: 'The optional hex property is a fallback for tools that cannot handle the color space and must be a 6-digit hex string.',
+    suggestion: 'Use a 6-digit hex string like "#ff0000", or remove the hex property.'
+  },
+  'color/alpha': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${COLOR_SPEC_URL}#alpha`,
+    details: 'The alpha channel controls opacity and must be a numeric value in the range [0, 1].',
+    suggestion: 'Alpha must be a number between 0 and 1, where 0 is fully transparent and 1 is fully opaque.'
+  },
+  'dimension/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#dimension`,
+    details: 'Dimension values are objects with a numeric value and a unit.',
+    suggestion: 'Use a dimension object. Example: { "value": 16, "unit": "px" }'
+  },
+  'dimension/shorthand': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#dimension`,
+    details: 'In strict mode, dimension values must use the dimension object form of the 2025.10 Format Module instead of a number or string.',
+    suggestion: diagnostic => `Replace ${JSON.stringify(diagnostic.value)} with ${formatValue(toDimensionObject(diagnostic.value))}`
+  },
+  'dimension/format': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#dimension`,
+    details: 'The specification only allows "px" and "rem" units for dimensions.',
+    suggestion: 'Dimension units must be "px" or "rem" per the DTCG Format Module 2025.10.'
+  },
+  'dimension/value': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#dimension`,
+    details: 'Dimension values are objects with a numeric value and a unit.',
+    suggestion: 'Set "value" to a number. Example: { "value": 16, "unit": "px" }'
+  },
+  'dimension/unit': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#dimension`,
+    details: 'The specification only allows "px" and "rem" units for dimensions.',
+    suggestion: 'Dimension units must be "px" or "rem" per the DTCG Format Module 2025.10.'
+  },
+  'duration/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#duration`,
+    details: 'Duration values are objects with a numeric value and a unit.',
+    suggestion: 'Use a duration object. Example: { "value": 200, "unit": "ms" }'
+  },
+  'duration/format': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#duration`,
+    details: 'Earlier drafts of the specification write durations as a number immediately followed by a unit.',
+    suggestion: 'Write the duration as a string like "200ms" or "0.5s".'
+  },
+  'duration/value': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#duration`,
+    details: 'Duration values are objects with a numeric value and a unit.',
+    suggestion: 'Set "value" to a number. Example: { "value": 200, "unit": "ms" }'
+  },
+  'duration/unit': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#duration`,
+    details: 'Duration values must use milliseconds or seconds as the unit.',
+    suggestion: 'Duration units must be "ms" (milliseconds) or "s" (seconds).'
+  },
+  'cubicBezier/format': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#cubic-bezier`,
+    details: 'Cubic bezier values define easing curves with control points.',
+    suggestion: 'cubicBezier must be an array of 4 numbers: [P1x, P1y, P2x, P2y]. Example: [0.42, 0, 0.58, 1]'
+  },
+  'cubicBezier/component-type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#cubic-bezier`,
+    details: 'Cubic bezier values define easing curves with control points.',
+    suggestion: 'cubicBezier must be an array of 4 numbers: [P1x, P1y, P2x, P2y]. Example: [0.42, 0, 0.58, 1]'
+  },
+  'cubicBezier/x-range': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#cubic-bezier`,
+    details: 'Cubic bezier values define easing curves with control points.',
+    suggestion: 'X coordinates (P1x and P2x) must be between 0 and 1. Y coordinates can be any value.'
+  },
+  'fontFamily/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#font-family`,
+    details: 'A font family is a single font name or an array of names in order of preference.',
+    suggestion: 'Use a string like "Inter" or an array like ["Inter", "sans-serif"].'
+  },
+  'fontWeight/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#font-weight`,
+    details: 'Font weight must be a number 1-1000 or a recognized weight alias.',
+    suggestion: `Use a numeric weight between 1-1000, or use an alias like: ${Object.keys(FONT_WEIGHT_ALIASES).slice(0, 5).join(', ')}, etc.`
+  },
+  'fontWeight/range': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#font-weight`,
+    details: 'Font weight must be a number 1-1000 or a recognized weight alias.',
+    suggestion: `Use a numeric weight between 1-1000, or use an alias like: ${Object.keys(FONT_WEIGHT_ALIASES).slice(0, 5).join(', ')}, etc.`
+  },
+  'fontWeight/alias': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#font-weight`,
+    details: 'Font weight must be a number 1-1000 or a recognized weight alias.',
+    suggestion: `Use one of these aliases: ${Object.keys(FONT_WEIGHT_ALIASES).join(', ')}`
+  },
+  'number/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#number`,
+    details: 'Number tokens hold a plain JSON number without a unit.',
+    suggestion: 'Use a JSON number like 1.5 instead of a string.'
+  },
+  'strokeStyle/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#stroke-style`,
+    details: 'Stroke style can be a predefined string or a custom object with dash patterns.',
+    suggestion: `Use one of: ${STROKE_STYLE_VALUES.join(', ')}, or provide an object with dashArray and lineCap.`
+  },
+  'strokeStyle/keyword': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#stroke-style`,
+    details: 'Stroke style can be a predefined string or a custom object with dash patterns.',
+    suggestion: `Use one of: ${STROKE_STYLE_VALUES.join(', ')}, or provide an object with dashArray and lineCap.`
+  },
+  'strokeStyle/dash-array': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#stroke-style`,
+    details: 'Stroke style can be a predefined string or a custom object with dash patterns.',
+    suggestion: 'Add a "dashArray" array of dimensions. Example: "dashArray": [{ "value": 4, "unit": "px" }]'
+  },
+  'strokeStyle/line-cap': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#stroke-style`,
+    details: 'Stroke style can be a predefined string or a custom object with dash patterns.',
+    suggestion: 'Set "lineCap" to "round", "butt", or "square".'
+  },
+  'border/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#border`,
+    details: 'Border tokens are composite types requiring color, width, and style properties.',
+    suggestion: 'Use an object with "color", "width" and "style" properties.'
+  },
+  'border/missing-property': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#border`,
+    details: 'Border tokens are composite types requiring color, width, and style properties.',
+    suggestion: diagnostic => `Add the "${missingProperty(diagnostic)}" property. Border requires: color, width, and style.`
+  },
+  'transition/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#transition`,
+    details: 'Transition tokens define animation timing with duration, delay, and easing.',
+    suggestion: 'Use an object with "duration", "delay" and "timingFunction" properties.'
+  },
+  'transition/missing-property': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#transition`,
+    details: 'Transition tokens define animation timing with duration, delay, and easing.',
+    suggestion: diagnostic => `Add the "${missingProperty(diagnostic)}" property. Transition requires: duration, delay, and timingFunction.`
+  },
+  'shadow/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#shadow`,
+    details: 'Shadow tokens must have all required fields: offsetX, offsetY, blur, spread, and color. Inset is optional.',
+    suggestion: 'Use a shadow object, or an array of shadow objects for layered shadows.'
+  },
+  'shadow/missing-property': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#shadow`,
+    details: 'Shadow tokens must have all required fields: offsetX, offsetY, blur, spread, and color. Inset is optional.',
+    suggestion: diagnostic => `Add the "${missingProperty(diagnostic)}" property to your shadow object. Shadows require: offsetX, offsetY, blur, spread, and color.`
+  },
+  'shadow/inset': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#shadow`,
+    details: 'The optional inset property switches between an outer and an inner shadow.',
+    suggestion: 'Set "inset" to true or false.'
+  },
+  'gradient/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#gradient`,
+    details: 'Gradients are arrays of color stops, each with a color and position.',
+    suggestion: 'Gradients must be an array of stops. Example: [{"color": "#000000", "position": 0}, {"color": "#ffffff", "position": 1}]'
+  },
+  'gradient/stop-type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#gradient`,
+    details: 'Gradients are arrays of color stops, each with a color and position.',
+    suggestion: 'Each gradient stop must be an object. Example: {"color": "#000000", "position": 0}'
+  },
+  'gradient/missing-property': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#gradient`,
+    details: 'Gradients are arrays of color stops, each with a color and position.',
+    suggestion: diagnostic => missingProperty(diagnostic) === 'position'
+      ? 'Each gradient stop must have a "position" property (typically 0 to 1).'
+      : 'Each gradient stop must have a "color" property.'
+  },
+  'gradient/position': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#gradient`,
+    details: 'Gradients are arrays of color stops, each with a color and position.',
+    suggestion: 'Set "position" to a number between 0 and 1.'
+  },
+  'typography/type': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#typography`,
+    details: 'Typography tokens must have all 5 required fields per the Format Module.',
+    suggestion: 'Use an object with fontFamily, fontSize, fontWeight, lineHeight, and letterSpacing.'
+  },
+  'typography/missing-property': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${FORMAT_SPEC_URL}#typography`,
+    details: 'Typography tokens must have all 5 required fields per the Format Module.',
+    suggestion: diagnostic => `Add the "${missingProperty(diagnostic)}" property. Typography requires: fontFamily, fontSize, fontWeight, lineHeight, and letterSpacing.`
+  },
+  'typography/unknown-property': {
+    category: VALUE,
+    severity: 'warning',
+    spec: `${FORMAT_SPEC_URL}#typography`,
+    details: 'Typography values only define fontFamily, fontSize, fontWeight, lineHeight, and letterSpacing.',
+    suggestion: 'Remove the property, or move tool-specific data into $extensions.'
+  },
+  'resolver/root-type': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#resolver-document`,
+    details: 'A resolver document is a JSON object describing sets, modifiers and the order in which they are applied.',
+    suggestion: 'Wrap the resolver in an object with "version", "sets", "modifiers" and "resolutionOrder".'
+  },
+  'resolver/version': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#resolver-document`,
+    details: `Resolver documents declare the version of the Resolver Module they follow; this validator implements ${RESOLVER_VERSION}.`,
+    suggestion: `Add "version": "${RESOLVER_VERSION}" to the resolver document.`
+  },
+  'resolver/invalid-set': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#sets`,
+    details: 'A set is an object whose "sources" array lists token files or inline tokens that are always applied together.',
+    suggestion: 'Give the set a "sources" array. Example: { "sources": [{ "$ref": "core.json" }] }'
+  },
+  'resolver/invalid-modifier': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#modifiers`,
+    details: 'A modifier maps each of its contexts (e.g. light and dark) to the sources applied when that context is selected.',
+    suggestion: 'Give the modifier a "contexts" object. Example: { "contexts": { "light": [{ "$ref": "light.json" }] } }'
+  },
+  'resolver/invalid-default': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#modifiers`,
+    details: 'The default of a modifier is used when no input selects a context, so it must name one of its contexts.',
+    suggestion: 'Set "default" to the name of one of the modifier\'s contexts.'
+  },
+  'resolver/invalid-source': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#sources`,
+    details: 'A source is either a reference object with a "$ref" to a token file, or an inline token tree.',
+    suggestion: 'Use { "$ref": "tokens.json" } or an object of tokens and groups.'
+  },
+  'resolver/invalid-resolution-order': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#resolution-order`,
+    details: 'The resolution order lists the sets and modifiers to apply; later entries override tokens of earlier ones.',
+    suggestion: 'Add a "resolutionOrder" array. Example: [{ "$ref": "#/sets/core" }, { "$ref": "#/modifiers/theme" }]'
+  },
+  'resolver/unknown-reference': {
+    category: REFERENCE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#reference-objects`,
+    details: 'Every "$ref" must point to a set, modifier, token file or location that exists.',
+    suggestion: 'Check the spelling of the reference, or add the file to the files passed to the resolver.'
+  },
+  'resolver/invalid-file': {
+    category: STRUCTURE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#sources`,
+    details: 'Token files referenced by a resolver must contain a JSON object of tokens and groups.',
+    suggestion: 'Fix the JSON syntax of the referenced file.'
+  },
+  'resolver/unused-definition': {
+    category: STRUCTURE,
+    severity: 'warning',
+    spec: `${RESOLVER_SPEC_URL}#resolution-order`,
+    details: 'Sets and modifiers only take effect when they are listed in the resolution order.',
+    suggestion: 'Add the set or modifier to "resolutionOrder", or remove it.'
+  },
+  'resolver/unknown-modifier': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#inputs`,
+    details: 'Inputs select a context for modifiers that are part of the resolution order.',
+    suggestion: diagnostic => `Remove the "${diagnostic.value}" input or add a modifier with that name.`
+  },
+  'resolver/unknown-context': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#inputs`,
+    details: 'An input must name one of the contexts defined by its modifier.',
+    suggestion: 'Use one of the context names listed in the message.'
+  },
+  'resolver/missing-input': {
+    category: VALUE,
+    severity: 'error',
+    spec: `${RESOLVER_SPEC_URL}#inputs`,
+    details: 'Modifiers without a default need an input that selects one of their contexts.',
+    suggestion: 'Pass an input for the modifier, or give the modifier a "default" context.'
+  }
+};
+
+/**
+ * Explains a diagnostic using its rule
+ * `rules` may add the rules of plugins to the built-in ones; diagnostics of
+ * plugin rules not among them are explained by their message
+ * Returns { details, suggestion, spec }
+ */
+export function explainDiagnostic(diagnostic, rules = RULES) {
+  const rule = rules[diagnostic.code];
+  if (!rule) {
+    return { details: diagnostic.message, suggestion: null, spec: null };
+  }
+  return {
+    details: rule.details,
+    suggestion: typeof rule.suggestion === 'function' ? rule.suggestion(diagnostic) : rule.suggestion,
+    spec: rule.spec ?? null
+  };
+}
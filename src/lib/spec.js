@@ -0,0 +1,150 @@
+/**
+ * Constants from the W3C Design Tokens Format and Color Modules
+ * @see https://www.designtokens.org/TR/2025.10/format/
+ * @see https://www.designtokens.org/TR/2025.10/color/
+ * @see https://www.designtokens.org/TR/2025.10/resolver/
+ */
+
+export const FORMAT_SPEC_URL = 'https://www.designtokens.org/TR/2025.10/format/';
+export const COLOR_SPEC_URL = 'https://www.designtokens.org/TR/2025.10/color/';
+export const RESOLVER_SPEC_URL = 'https://www.designtokens.org/TR/2025.10/resolver/';
+
+/**
+ * Resolver document version defined by the Resolver Module
+ */
+export const RESOLVER_VERSION = '2025.10';
+
+/**
+ * Versions of the Format Module the validator can check against
+ * Each profile lists the units it allows and the constructs it supports, so
+ * files authored against an earlier draft can be validated by its rules
+ */
+export const SPEC_VERSIONS = {
+  '2025.10': {
+    label: 'DTCG 2025.10',
+    dimensionUnits: ['px', 'rem'],
+    durationUnits: ['ms', 's'],
+    features: ['color-object', 'dimension-object', 'duration-object', 'pointer-reference', 'group-extends']
+  },
+  'draft-2023': {
+    label: 'DTCG Draft (2023)',
+    dimensionUnits: ['px', 'rem', 'em', '%'],
+    durationUnits: ['ms', 's'],
+    features: ['hex-alpha', 'duration-string']
+  }
+};
+
+export const DEFAULT_SPEC_VERSION = '2025.10';
+
+/**
+ * Names of the constructs only some spec versions support, for messages
+ */
+export const SPEC_FEATURES = {
+  'hex-alpha': '8-digit hex colors',
+  'color-object': 'Color objects',
+  'dimension-object': 'Dimension objects',
+  'duration-object': 'Duration objects',
+  'duration-string': 'Duration strings',
+  'pointer-reference': 'JSON Pointer references ($ref)',
+  'group-extends': 'Groups extending other groups ($extends)'
+};
+
+/**
+ * Valid token types according to W3C DTCG spec
+ */
+export const VALID_TOKEN_TYPES = [
+  'color',
+  'dimension',
+  'fontFamily',
+  'fontWeight',
+  'duration',
+  'cubicBezier',
+  'number',
+  'strokeStyle',
+  'border',
+  'transition',
+  'shadow',
+  'gradient',
+  'typography'
+];
+
+/**
+ * Reserved $-prefixed properties of tokens and groups
+ * The document root may additionally declare a $schema. $root is the token
+ * holding the base value of a group, referenced as {group.$root}
+ */
+export const TOKEN_PROPERTIES = ['$value', '$type', '$description', '$deprecated', '$extensions'];
+export const GROUP_PROPERTIES = ['$type', '$description', '$deprecated', '$extensions', '$extends', '$root'];
+export const ROOT_PROPERTIES = [...GROUP_PROPERTIES, '$schema'];
+export const ROOT_TOKEN = '$root';
+
+/**
+ * Valid font weight string aliases
+ */
+export const FONT_WEIGHT_ALIASES = {
+  'thin': 100,
+  'hairline': 100,
+  'extra-light': 200,
+  'ultra-light': 200,
+  'light': 300,
+  'normal': 400,
+  'regular': 400,
+  'book': 400,
+  'medium': 500,
+  'semi-bold': 600,
+  'demi-bold': 600,
+  'bold': 700,
+  'extra-bold': 800,
+  'ultra-bold': 800,
+  'black': 900,
+  'heavy': 900,
+  'extra-black': 950,
+  'ultra-black': 950
+};
+
+/**
+ * Valid stroke style string values
+ */
+export const STROKE_STYLE_VALUES = [
+  'solid',
+  'dashed',
+  'dotted',
+  'double',
+  'groove',
+  'ridge',
+  'outset',
+  'inset'
+];
+
+/**
+ * Types of the properties of composite token values
+ * Shadow and gradient values may also be arrays of objects with these properties
+ */
+export const COMPOSITE_PROPERTY_TYPES = {
+  border: { color: 'color', width: 'dimension', style: 'strokeStyle' },
+  transition: { duration: 'duration', delay: 'duration', timingFunction: 'cubicBezier' },
+  shadow: { color: 'color', offsetX: 'dimension', offsetY: 'dimension', blur: 'dimension', spread: 'dimension' },
+  gradient: { color: 'color', position: 'number' },
+  typography: { fontFamily: 'fontFamily', fontSize: 'dimension', fontWeight: 'fontWeight', letterSpacing: 'dimension', lineHeight: 'number' }
+};
+
+/**
+ * Valid color spaces and their component requirements
+ * Per W3C Design Tokens Color Module 2025.10
+ */
+export const COLOR_SPACES = {
+  'srgb': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
+  'srgb-linear': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
+  'hsl': { components: 3, ranges: [[0, 360], [0, 100], [0, 100]] },
+  'hwb': { components: 3, ranges: [[0, 360], [0, 100], [0, 100]] },
+  'lab': { components: 3, ranges: [[0, 100], [-Infinity, Infinity], [-Infinity, Infinity]] },
+  'lch': { components: 3, ranges: [[0, 100], [0, Infinity], [0, 360]] },
+  'oklab': { components: 3, ranges: [[0, 1], [-Infinity, Infinity], [-Infinity, Infinity]] },
+  'oklch': { components: 3, ranges: [[0, 1], [0, Infinity], [0, 360]] },
+  'display-p3': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
+  'a98-rgb': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
+  'prophoto-rgb': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
+  'rec2020': { components: 3, ranges: [[0, 1], [0, 1], [0, 1]] },
+  'xyz-d65': { components: 3, ranges: [[-Infinity, Infinity], [-Infinity, Infinity], [-Infinity, Infinity]] },
+  'xyz-d50': { components: 3, ranges: [[-Infinity, Infinity], [-Infinity, Infinity], [-Infinity, Infinity]] }
+};
@@ -0,0 +1,50 @@
+/**
+ * "Did you mean" suggestions for misspelled names
+ */
+
+/**
+ * Computes the edit distance between two strings: the number of inserted,
+ * deleted, substituted or swapped adjacent characters
+ */
+export function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    distances[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+      // Transposition, e.g. "$tpye" => "$type"
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+}
+
+/**
+ * Finds the candidate closest to a misspelled name
+ * Returns undefined if none is within `maxDistance` edits
+ */
+export function findClosest(name, candidates, maxDistance = 2) {
+  let closest;
+  let closestDistance = maxDistance + 1;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  }
+
+  return closest;
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { editDistance, findClosest } from './suggest.js';
+
+describe('Suggestions', () => {
+  describe('editDistance', () => {
+    it('should count inserted, deleted and substituted characters', () => {
+      expect(editDistance('$value', '$value')).toBe(0);
+      expect(editDistance('$valu', '$value')).toBe(1);
+      expect(editDistance('$values', '$value')).toBe(1);
+      expect(editDistance('$vblue', '$value')).toBe(1);
+      expect(editDistance('', 'abc')).toBe(3);
+    });
+
+    it('should count swapped adjacent characters as one edit', () => {
+      expect(editDistance('$tpye', '$type')).toBe(1);
+      expect(editDistance('$vlaue', '$value')).toBe(1);
+    });
+  });
+
+  describe('findClosest', () => {
+    const candidates = ['$value', '$type', '$description'];
+
+    it('should return the closest candidate', () => {
+      expect(findClosest('$tpye', candidates)).toBe('$type');
+      expect(findClosest('$Description', candidates)).toBe('$description');
+    });
+
+    it('should return undefined when nothing is close enough', () => {
+      expect(findClosest('$metadata', candidates)).toBeUndefined();
+      expect(findClosest('$typ', candidates, 0)).toBeUndefined();
+    });
+  });
+});
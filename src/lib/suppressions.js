@@ -0,0 +1,114 @@
+/**
+ * Per-token suppression of rules
+ * A token or group acknowledges known violations with an $extensions entry,
+ * which applies to the token or to everything in the group:
+ *
+ *   "$extensions": {
+ *     "org.dtcg-validator": { "ignore": ["color/hex-format"], "reason": "Needs alpha" }
+ *   }
+ */
+
+import { createDiagnostic, formatPath } from './diagnostics.js';
+import { ROOT_TOKEN } from './spec.js';
+
+export const SUPPRESSION_NAMESPACE = 'org.dtcg-validator';
+
+/**
+ * Collects the suppressions declared on the tokens and groups of a document
+ * Returns { suppressions, diagnostics } where each suppression is
+ * { path, ignore: [{ code, index }], reason, used } and diagnostics report
+ * malformed entries and unknown rule codes
+ */
+function collectSuppressions(tokens, knownRules) {
+  const suppressions = [];
+  const diagnostics = [];
+
+  const visit = (node, path) => {
+    const extensions = node.$extensions;
+    const entry = typeof extensions === 'object' && extensions !== null ? extensions[SUPPRESSION_NAMESPACE] : undefined;
+
+    if (entry !== undefined) {
+      const location = [...path, '$extensions', SUPPRESSION_NAMESPACE];
+      if (typeof entry !== 'object' || entry === null || !Array.isArray(entry.ignore)) {
+        diagnostics.push(createDiagnostic('suppression/invalid', `Suppression at ${formatPath(path) || 'root'} must be an object with an "ignore" array of rule codes`, location, entry));
+      } else {
+        const ignore = [];
+        entry.ignore.forEach((code, index) => {
+          if (Object.hasOwn(knownRules, code)) {
+            ignore.push({ code, index });
+          } else {
+            diagnostics.push(createDiagnostic('suppression/invalid', `Unknown rule "${code}" in suppression at ${formatPath(path) || 'root'}`, [...location, 'ignore', index], code));
+          }
+        });
+        suppressions.push({ path, ignore, reason: entry.reason, used: new Set() });
+      }
+    }
+
+    if ('$value' in node) return;
+    for (const [key, child] of Object.entries(node)) {
+      if ((!key.startsWith('$') || key === ROOT_TOKEN) && typeof child === 'object' && child !== null && !Array.isArray(child)) {
+        visit(child, [...path, key]);
+      }
+    }
+  };
+
+  if (typeof tokens === 'object' && tokens !== null && !Array.isArray(tokens)) {
+    visit(tokens, []);
+  }
+  return { suppressions, diagnostics };
+}
+
+/**
+ * Checks if a location is inside the token or group at a path
+ */
+function isWithin(location, path) {
+  return path.length <= location.length && path.every((segment, idx) => location[idx] === segment);
+}
+
+/**
+ * Separates the diagnostics suppressed by the documents they were found in
+ * `documents` lists { tokens, file } for each validated document; diagnostics
+ * are matched to a document by their `file`. The closest suppression of a
+ * diagnostic's rule wins. Rules suppressed where they report nothing are
+ * reported as unused
+ *
+ * Returns { diagnostics, suppressed }, where suppressed diagnostics name
+ * their `suppression` as { path, reason }
+ */
+export function suppressDiagnostics(diagnostics, documents, knownRules) {
+  const reported = [];
+  const suppressed = [];
+  const collected = documents.map(document => ({ document, ...collectSuppressions(document.tokens, knownRules) }));
+
+  for (const diagnostic of diagnostics) {
+    const entry = collected.find(({ document }) => document.file === diagnostic.file);
+    const matching = (entry?.suppressions ?? [])
+      .filter(suppression => isWithin(diagnostic.path, suppression.path) && suppression.ignore.some(({ code }) => code === diagnostic.code))
+      .sort((a, b) => b.path.length - a.path.length);
+
+    if (matching.length === 0) {
+      reported.push(diagnostic);
+      continue;
+    }
+
+    const [closest] = matching;
+    closest.used.add(diagnostic.code);
+    suppressed.push({ ...diagnostic, suppression: { path: closest.path, reason: closest.reason } });
+  }
+
+  // Unused suppressions and malformed entries, in the file they are declared in
+  for (const { document, suppressions, diagnostics: invalid } of collected) {
+    const found = [...invalid];
+    for (const { path, ignore, used } of suppressions) {
+      for (const { code, index } of ignore) {
+        if (!used.has(code)) {
+          const location = [...path, '$extensions', SUPPRESSION_NAMESPACE, 'ignore', index];
+          found.push(createDiagnostic('suppression/unused', `Rule "${code}" is suppressed at ${formatPath(path) || 'root'} but reports no problems there`, location, code));
+        }
+      }
+    }
+    reported.push(...found.map(diagnostic => document.file === undefined ? diagnostic : { ...diagnostic, file: document.file }));
+  }
+
+  return { diagnostics: reported, suppressed };
+}